@@ -0,0 +1,58 @@
+'use strict';
+
+module.exports = {
+  async getAccounts({ homey }) {
+    return homey.app.getAccounts().map(({ id, name }) => ({ id, name }));
+  },
+
+  async renameAccount({ homey, params, body }) {
+    return homey.app.renameAccount(params.id, body.name);
+  },
+
+  async getSpeakerGroups({ homey }) {
+    return {
+      groups: homey.app.getSpeakerGroups(),
+      devices: homey.app.getSpeakerGroupCandidates(),
+    };
+  },
+
+  async saveSpeakerGroup({ homey, body }) {
+    return homey.app.saveSpeakerGroup(body);
+  },
+
+  async deleteSpeakerGroup({ homey, params }) {
+    homey.app.deleteSpeakerGroup(params.id);
+
+    return { success: true };
+  },
+
+  async getDiscoveredDevices({ homey }) {
+    homey.app.zeroConf.refresh();
+
+    return homey.app.zeroConf.getDiscoveredDevices();
+  },
+
+  async getPairingStatus({ homey }) {
+    return homey.app.zeroConf.getPairingStatus();
+  },
+
+  async startPairing({ homey }) {
+    return homey.app.zeroConf.startPairing();
+  },
+
+  async stopPairing({ homey }) {
+    return homey.app.zeroConf.stopPairing();
+  },
+
+  async clearCredentials({ homey }) {
+    homey.app.zeroConf.clearCredentials();
+
+    return homey.app.zeroConf.getPairingStatus();
+  },
+
+  async wakeDevice({ homey, body }) {
+    await homey.app.zeroConf.wakeDevice(body.id || body.name);
+
+    return { success: true };
+  },
+};
@@ -1,149 +1,286 @@
 'use strict';
 
+const crypto = require('crypto');
 const { OAuth2App } = require('homey-oauth2app');
 
 const SpotifyConnectOAuth2Client = require('./lib/SpotifyConnectOAuth2Client');
+const SpotifyZeroConfService = require('./lib/SpotifyZeroConfService');
+const { NoActiveDeviceError } = require('./lib/SpotifyApiErrors');
 
 module.exports = class SpotifyApp extends OAuth2App {
 
 	static OAUTH2_CLIENT = SpotifyConnectOAuth2Client;
 	static OAUTH2_DEBUG = true;
+	static OAUTH2_MULTI_SESSION = true;
 
 	async onInit() {
 		await super.onInit();
 
+		// Discovery of speakers on the LAN, to wake the ones the Web API doesn't list anymore
+		this.zeroConf = new SpotifyZeroConfService({ app: this });
+
+		try {
+			this.zeroConf.start();
+		} catch (err) {
+			this.error('ZeroConf discovery is unavailable', err);
+		}
+
 		const playSongCard = this.homey.flow.getActionCard('play_song');
 
 		// Autocomplete: search Spotify when user types
-		playSongCard.registerArgumentAutocompleteListener('song', async (query, args) => {
-			if (!query || query.length < 2) return [];
-
-			const oAuth2Client = args.device.oAuth2Client;
-			const results = await oAuth2Client.search(query, 'track', 10);
-
-			return results.tracks.items.map(track => ({
-				name: track.name,
-				description: track.artists.map(a => a.name).join(', '),
-				image: track.album.images[2]?.url,
-				id: track.id,
-				uri: track.uri
-			}));
-		});
+		playSongCard.registerArgumentAutocompleteListener('song', (query, args) => this._autocompleteTracks(query, args, 'play_song:song'));
+		playSongCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
 
 		// Run: play the selected song (queue + skip to avoid single-track loop)
-		playSongCard.registerRunListener(async (args) => {
-			const { device, song } = args;
-			await device.oAuth2Client.addToQueueAndSkip(device._id, song.uri);
-		});
+		playSongCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, song, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await client.addToQueueAndSkip(deviceId, song.uri);
+		}));
 
 		// Play Artist card
 		const playArtistCard = this.homey.flow.getActionCard('play_artist');
 
-		playArtistCard.registerArgumentAutocompleteListener('artist', async (query, args) => {
-			if (!query || query.length < 2) return [];
+		playArtistCard.registerArgumentAutocompleteListener('artist', (query, args) => this._autocompleteArtists(query, args, 'play_artist:artist'));
+		playArtistCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
 
-			const oAuth2Client = args.device.oAuth2Client;
-			const results = await oAuth2Client.search(query, 'artist', 10);
-
-			return results.artists.items.map(artist => ({
-				name: artist.name,
-				description: `${artist.followers?.total?.toLocaleString() || 0} followers`,
-				image: artist.images[2]?.url,
-				id: artist.id,
-				uri: artist.uri
-			}));
-		});
-
-		playArtistCard.registerRunListener(async (args) => {
-			const { device, artist } = args;
-			await device.oAuth2Client.playContext(device._id, artist.uri);
-		});
+		playArtistCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, artist, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.playContext(deviceId, artist.uri, this._playOptions(args), client);
+		}));
 
 		// Play Playlist card
 		const playPlaylistCard = this.homey.flow.getActionCard('play_playlist');
 
-		playPlaylistCard.registerArgumentAutocompleteListener('playlist', async (query, args) => {
-			const oAuth2Client = args.device.oAuth2Client;
-			const results = await oAuth2Client.getMyPlaylists(50);
-
-			const queryLower = (query || '').toLowerCase();
-
-			return results.items
-				.filter(playlist => playlist !== null)
-				.filter(playlist => !query || playlist.name.toLowerCase().includes(queryLower))
-				.map(playlist => ({
-					name: playlist.name,
-					description: `${playlist.tracks?.total || 0} tracks`,
-					image: playlist.images?.[0]?.url,
-					id: playlist.id,
-					uri: playlist.uri
-				}));
-		});
+		playPlaylistCard.registerArgumentAutocompleteListener('playlist', this._autocompletePlaylists.bind(this));
+		playPlaylistCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
 
-		playPlaylistCard.registerRunListener(async (args) => {
-			const { device, playlist } = args;
-			await device.oAuth2Client.playContext(device._id, playlist.uri);
-		});
+		playPlaylistCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, playlist, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.playContext(deviceId, playlist.uri, this._playOptions(args), client);
+		}));
 
 		// Play Album card
 		const playAlbumCard = this.homey.flow.getActionCard('play_album');
 
-		playAlbumCard.registerArgumentAutocompleteListener('album', async (query, args) => {
-			if (!query || query.length < 2) return [];
+		playAlbumCard.registerArgumentAutocompleteListener('album', (query, args) => this._autocompleteAlbums(query, args, 'play_album:album'));
+		playAlbumCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
 
-			const oAuth2Client = args.device.oAuth2Client;
-			const results = await oAuth2Client.search(query, 'album', 10);
+		playAlbumCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, album, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.playContext(deviceId, album.uri, this._playOptions(args), client);
+		}));
 
-			return results.albums.items.map(album => ({
-				name: album.name,
-				description: album.artists.map(a => a.name).join(', '),
-				image: album.images[2]?.url,
-				id: album.id,
-				uri: album.uri
-			}));
-		});
+		// Library source cards
+		const playLikedSongsCard = this.homey.flow.getActionCard('play_liked_songs');
 
-		playAlbumCard.registerRunListener(async (args) => {
-			const { device, album } = args;
-			await device.oAuth2Client.playContext(device._id, album.uri);
-		});
+		playLikedSongsCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
 
-		// Add to Queue card
-		const addToQueueCard = this.homey.flow.getActionCard('add_to_queue');
+		playLikedSongsCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.playLikedSongs(deviceId, client);
+		}));
 
-		addToQueueCard.registerArgumentAutocompleteListener('song', async (query, args) => {
-			if (!query || query.length < 2) return [];
+		const playTopItemsCard = this.homey.flow.getActionCard('play_top_items');
 
-			const oAuth2Client = args.device.oAuth2Client;
-			const results = await oAuth2Client.search(query, 'track', 10);
+		playTopItemsCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
 
-			return results.tracks.items.map(track => ({
-				name: track.name,
-				description: track.artists.map(a => a.name).join(', '),
-				image: track.album.images[2]?.url,
-				id: track.id,
-				uri: track.uri
-			}));
-		});
+		playTopItemsCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, type, time_range, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.playTopItems(deviceId, type, time_range, client);
+		}));
 
-		addToQueueCard.registerRunListener(async (args) => {
-			const { device, song } = args;
+		const playRecentlyPlayedCard = this.homey.flow.getActionCard('play_recently_played');
+
+		playRecentlyPlayedCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		playRecentlyPlayedCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.playRecentlyPlayed(deviceId, client);
+		}));
+
+		// Podcast cards
+		const playLatestEpisodeCard = this.homey.flow.getActionCard('play_latest_episode');
+
+		playLatestEpisodeCard.registerArgumentAutocompleteListener('show', (query, args) => this._autocompleteShows(query, args, 'play_latest_episode:show'));
+		playLatestEpisodeCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		playLatestEpisodeCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, show, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.playLatestEpisode(deviceId, show.id, client);
+		}));
+
+		const resumeShowCard = this.homey.flow.getActionCard('resume_show');
+
+		resumeShowCard.registerArgumentAutocompleteListener('show', (query, args) => this._autocompleteShows(query, args, 'resume_show:show'));
+		resumeShowCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		resumeShowCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, show, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.resumeShow(deviceId, show.id, client);
+		}));
+
+		// Radio card
+		const startRadioCard = this.homey.flow.getActionCard('start_radio');
+
+		startRadioCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, seed, energy, valence } = args;
+			await device.startRadio(device._id, seed, { energy, valence });
+		}));
+
+		// Add to Queue card
+		const addToQueueCard = this.homey.flow.getActionCard('add_to_queue');
+
+		addToQueueCard.registerArgumentAutocompleteListener('song', (query, args) => this._autocompleteTracks(query, args, 'add_to_queue:song'));
+		addToQueueCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		addToQueueCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, song, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
 			try {
-				await device.oAuth2Client.addToQueue(device._id, song.uri);
+				await client.addToQueue(deviceId, song.uri);
 			} catch (error) {
 				// Queue API requires active playback - fall back to direct play
-				if (error.status === 404 || error.statusCode === 404) {
-					await device.oAuth2Client.playTrack(device._id, song.uri);
+				if (error instanceof NoActiveDeviceError) {
+					await client.playTrack(deviceId, song.uri);
 				} else {
 					throw error;
 				}
 			}
-		});
+		}));
+
+		// Bulk queue cards
+		const queueAlbumCard = this.homey.flow.getActionCard('queue_album');
+
+		queueAlbumCard.registerArgumentAutocompleteListener('album', (query, args) => this._autocompleteAlbums(query, args, 'queue_album:album'));
+		queueAlbumCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		queueAlbumCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, album, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.queueAlbum(deviceId, album.id, client);
+		}));
+
+		const queuePlaylistCard = this.homey.flow.getActionCard('queue_playlist');
+
+		queuePlaylistCard.registerArgumentAutocompleteListener('playlist', this._autocompletePlaylists.bind(this));
+		queuePlaylistCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		queuePlaylistCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, playlist, count, account } = args;
+			const { client, deviceId } = await device.getAccount(account?.id);
+			await device.queuePlaylist(deviceId, playlist.id, count, client);
+		}));
+
+		// Transfer Playback card
+		const transferPlaybackCard = this.homey.flow.getActionCard('transfer_playback');
+
+		transferPlaybackCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, play } = args;
+			await device.transfer(device._id, play);
+		}));
+
+		// Seek cards
+		const seekCard = this.homey.flow.getActionCard('seek');
+
+		seekCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, position } = args;
+			await device.seek(device._id, position * 1000);
+		}));
+
+		const seekRelativeCard = this.homey.flow.getActionCard('seek_relative');
+
+		seekRelativeCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, direction, seconds } = args;
+			const state = await device.currentPlayback();
+
+			const offsetMs = (direction === 'back' ? -seconds : seconds) * 1000;
+			const positionMs = Math.min((state.progress_ms || 0) + offsetMs, state.item.duration_ms || 0);
+
+			await device.seek(device._id, positionMs);
+		}));
+
+		const seekPercentCard = this.homey.flow.getActionCard('seek_percent');
+
+		seekPercentCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, percent } = args;
+			const state = await device.currentPlayback();
+
+			await device.seek(device._id, (state.item.duration_ms || 0) * (percent / 100));
+		}));
+
+		// Volume fade cards
+		const fadeVolumeCard = this.homey.flow.getActionCard('fade_volume');
+
+		fadeVolumeCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, volume, duration } = args;
+			await device.fadeVolume(device._id, volume / 100, duration * 1000);
+		}));
+
+		const fadeOutPauseCard = this.homey.flow.getActionCard('fade_out_pause');
+
+		fadeOutPauseCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, duration } = args;
+			await device.fadeOutAndPause(device._id, duration * 1000);
+		}));
+
+		// Playback snapshot cards
+		const saveSnapshotCard = this.homey.flow.getActionCard('save_snapshot');
+
+		saveSnapshotCard.registerRunListener(this._forGroupMember(async (args) => {
+			await args.device.saveSnapshot();
+		}));
+
+		const restoreSnapshotCard = this.homey.flow.getActionCard('restore_snapshot');
+
+		restoreSnapshotCard.registerRunListener(this._forGroupMember(async (args) => {
+			await args.device.restoreSnapshot();
+		}));
+
+		// Library cards
+		const saveCurrentTrackCard = this.homey.flow.getActionCard('save_current_track');
+
+		saveCurrentTrackCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		saveCurrentTrackCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, account } = args;
+			const { client } = await device.getAccount(account?.id);
+			await device.setTrackLiked(true, client);
+		}));
+
+		const removeCurrentTrackCard = this.homey.flow.getActionCard('remove_current_track');
+
+		removeCurrentTrackCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		removeCurrentTrackCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, account } = args;
+			const { client } = await device.getAccount(account?.id);
+			await device.setTrackLiked(false, client);
+		}));
+
+		const addCurrentTrackToPlaylistCard = this.homey.flow.getActionCard('add_current_track_to_playlist');
+
+		addCurrentTrackToPlaylistCard.registerArgumentAutocompleteListener('playlist', this._autocompletePlaylists.bind(this));
+		addCurrentTrackToPlaylistCard.registerArgumentAutocompleteListener('account', this._autocompleteAccounts.bind(this));
+
+		addCurrentTrackToPlaylistCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, playlist, account } = args;
+			const { client } = await device.getAccount(account?.id);
+			await device.addCurrentTrackToPlaylist(playlist.id, client);
+		}));
 
 		// Get Playback Info card
 		const getPlaybackInfoCard = this.homey.flow.getActionCard('get_playback_info');
 
-		getPlaybackInfoCard.registerRunListener(async (args) => {
+		getPlaybackInfoCard.registerRunListener(this._forGroupMember(async (args) => {
 			const { device } = args;
 			const state = await device.oAuth2Client.state();
 
@@ -155,26 +292,423 @@ module.exports = class SpotifyApp extends OAuth2App {
 					progress_seconds: 0,
 					duration_seconds: 0,
 					progress_percent: 0,
-					is_playing: false
+					is_playing: false,
+					next_up: ''
 				};
 			}
 
+			// The queue is extra, the card still answers when Spotify can't read it
+			const queue = await device.oAuth2Client.getQueue().catch((err) => {
+				this.error('Could not read the queue', err);
+				return null;
+			});
+			const nextUp = queue?.queue?.[0];
+
 			const progressMs = state.progress_ms || 0;
 			const durationMs = state.item.duration_ms || 0;
 			const progressSeconds = Math.round(progressMs / 1000);
 			const durationSeconds = Math.round(durationMs / 1000);
 			const progressPercent = durationMs > 0 ? Math.round((progressMs / durationMs) * 100) : 0;
 
+			// For podcast episodes the artist is the publisher and the album the show
+			const { track, artist, album } = device.describeItem(state.item);
+
 			return {
-				track_name: state.item.name || '',
-				artist_name: state.item.artists?.map(a => a.name).join(', ') || '',
-				album_name: state.item.album?.name || '',
+				track_name: track || '',
+				artist_name: artist,
+				album_name: album,
 				progress_seconds: progressSeconds,
 				duration_seconds: durationSeconds,
 				progress_percent: progressPercent,
-				is_playing: state.is_playing || false
+				is_playing: state.is_playing || false,
+				next_up: nextUp ? [nextUp.name, device.describeItem(nextUp).artist].filter(Boolean).join(' - ') : ''
 			};
+		}));
+
+		// Sleep timer cards
+		const sleepTimerCard = this.homey.flow.getActionCard('sleep_timer');
+
+		sleepTimerCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, minutes, fade } = args;
+			await device.startSleepTimer('time', { minutes, fadeSeconds: fade });
+		}));
+
+		const stopAfterTrackCard = this.homey.flow.getActionCard('stop_after_track');
+
+		stopAfterTrackCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, fade } = args;
+			await device.startSleepTimer('track', { fadeSeconds: fade });
+		}));
+
+		const stopAfterContextCard = this.homey.flow.getActionCard('stop_after_context');
+
+		stopAfterContextCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, fade } = args;
+			await device.startSleepTimer('context', { fadeSeconds: fade });
+		}));
+
+		const cancelSleepTimerCard = this.homey.flow.getActionCard('cancel_sleep_timer');
+
+		cancelSleepTimerCard.registerRunListener(this._forGroupMember(async (args) => {
+			await args.device.cancelSleepTimer();
+		}));
+
+		// Wake card: logs a sleeping speaker in over the LAN, so it shows up in Spotify again
+		const wakeDeviceCard = this.homey.flow.getActionCard('wake_device');
+
+		wakeDeviceCard.registerArgumentAutocompleteListener('speaker', this._autocompleteZeroConfDevices.bind(this));
+
+		wakeDeviceCard.registerRunListener(async (args) => {
+			const { speaker } = args;
+			await this.zeroConf.wakeDevice(speaker.id || speaker.name);
 		});
+
+		// Condition cards: these use the device's cached state of the last sync
+		const isPlayingCard = this.homey.flow.getConditionCard('is_playing');
+
+		isPlayingCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { state } = await args.device.getPlaybackState();
+			return !!state?.is_playing;
+		}));
+
+		const isShufflingCard = this.homey.flow.getConditionCard('is_shuffling');
+
+		isShufflingCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { state } = await args.device.getPlaybackState();
+			return !!state?.shuffle_state;
+		}));
+
+		const repeatModeIsCard = this.homey.flow.getConditionCard('repeat_mode_is');
+
+		repeatModeIsCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, mode } = args;
+			const { state } = await device.getPlaybackState();
+			return !!state && device.repeatMode(state.repeat_state) === mode;
+		}));
+
+		const currentTrackIsCard = this.homey.flow.getConditionCard('current_track_is');
+
+		currentTrackIsCard.registerArgumentAutocompleteListener('song', (query, args) => this._autocompleteTracks(query, args, 'current_track_is:song'));
+
+		currentTrackIsCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, song } = args;
+			const { state } = await device.getPlaybackState();
+			return state?.item?.uri === song.uri;
+		}));
+
+		const currentArtistIsCard = this.homey.flow.getConditionCard('current_artist_is');
+
+		currentArtistIsCard.registerArgumentAutocompleteListener('artist', (query, args) => this._autocompleteArtists(query, args, 'current_artist_is:artist'));
+
+		currentArtistIsCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, artist } = args;
+			const { state } = await device.getPlaybackState();
+			return (state?.item?.artists || []).some(a => a.uri === artist.uri);
+		}));
+
+		const currentAlbumIsCard = this.homey.flow.getConditionCard('current_album_is');
+
+		currentAlbumIsCard.registerArgumentAutocompleteListener('album', (query, args) => this._autocompleteAlbums(query, args, 'current_album_is:album'));
+
+		currentAlbumIsCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, album } = args;
+			const { state } = await device.getPlaybackState();
+			return state?.item?.album?.uri === album.uri;
+		}));
+
+		const currentPlaylistIsCard = this.homey.flow.getConditionCard('current_playlist_is');
+
+		currentPlaylistIsCard.registerArgumentAutocompleteListener('playlist', this._autocompletePlaylists.bind(this));
+
+		currentPlaylistIsCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, playlist } = args;
+			const { state } = await device.getPlaybackState();
+			return state?.context?.uri === playlist.uri;
+		}));
+
+		const volumeAboveCard = this.homey.flow.getConditionCard('volume_above');
+
+		volumeAboveCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device, volume } = args;
+			const { device: spotifyDevice } = await device.getPlaybackState();
+			return (spotifyDevice?.volume_percent || 0) > volume;
+		}));
+
+		const currentTrackIsLikedCard = this.homey.flow.getConditionCard('current_track_is_liked');
+
+		currentTrackIsLikedCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device } = args;
+			const { state } = await device.getPlaybackState();
+
+			if (!state?.item?.id) return false;
+
+			const [liked] = await device.oAuth2Client.containsTracks([state.item.id]);
+			return !!liked;
+		}));
+
+		const isActiveDeviceCard = this.homey.flow.getConditionCard('is_active_device');
+
+		isActiveDeviceCard.registerRunListener(this._forGroupMember(async (args) => {
+			const { device: spotifyDevice } = await args.device.getPlaybackState();
+			return !!spotifyDevice?.is_active;
+		}));
+	}
+
+	async onUninit() {
+		await this.zeroConf.stop();
+		await super.onUninit();
+	}
+
+	// Cards on a speaker group run for its active or highest priority member
+	_forGroupMember(listener) {
+		return async (args, state) => listener({ ...args, device: await args.device.resolveTarget() }, state);
+	}
+
+	_playOptions({ shuffle, offset, position }) {
+		const options = {};
+
+		if (shuffle === 'on' || shuffle === 'off') {
+			options.shuffle = shuffle === 'on';
+		}
+
+		// Start at a track number (1-based) or a specific track URI
+		const start = typeof offset === 'string' ? offset.trim() : '';
+
+		if (start.startsWith('spotify:')) {
+			options.offset = { uri: start };
+		} else if (parseInt(start, 10) > 0) {
+			options.offset = { position: parseInt(start, 10) - 1 };
+		}
+
+		if (position > 0) {
+			options.positionMs = Math.round(position * 1000);
+		}
+
+		return options;
+	}
+
+	/*
+		Accounts
+	*/
+	createOAuth2Client({ sessionId, configId = 'default' } = {}) {
+		// Sessions are keyed by Spotify user id. Pairing "new account" with an account that
+		// is already paired would otherwise fail with "OAuth2 Client already exists".
+		// Saved sessions that aren't loaded yet are created here, getOAuth2Client loads them through this
+		if (this.hasOAuth2Client({ sessionId, configId })) {
+			return this.getOAuth2Client({ sessionId, configId });
+		}
+
+		return super.createOAuth2Client({ sessionId, configId });
+	}
+
+	getAccounts() {
+		const sessions = this.getSavedOAuth2Sessions();
+
+		return Object.keys(sessions).map(sessionId => ({
+			id: sessionId,
+			name: sessions[sessionId].title || sessionId,
+			configId: sessions[sessionId].configId,
+		}));
+	}
+
+	getAccountClient(accountId) {
+		const account = this.getAccounts().find(account => account.id === accountId);
+
+		if (!account) {
+			throw new Error(this.homey.__('errors.account_not_found'));
+		}
+
+		return this.getOAuth2Client({ sessionId: account.id, configId: account.configId });
+	}
+
+	async renameAccount(accountId, name) {
+		const title = typeof name === 'string' ? name.trim() : '';
+
+		if (!title) {
+			throw new Error(this.homey.__('errors.account_name_required'));
+		}
+
+		const client = this.getAccountClient(accountId);
+		client.setTitle({ title });
+		client.save();
+
+		return { id: accountId, name: title };
+	}
+
+	/*
+		Speaker groups
+	*/
+	getSpeakerGroups() {
+		return this.homey.settings.get('speakerGroups') || [];
+	}
+
+	getSpeakerGroup(groupId) {
+		return this.getSpeakerGroups().find(group => group.id === groupId) || null;
+	}
+
+	getSpeakerGroupCandidates() {
+		// Groups can't contain other groups
+		return this.homey.drivers.getDriver('spotify-connect').getDevices()
+			.filter(device => !device.getData().groupId)
+			.map(device => ({ id: device.__id, name: device.getName() }));
+	}
+
+	saveSpeakerGroup({ id, name, members }) {
+		const title = typeof name === 'string' ? name.trim() : '';
+
+		if (!title) {
+			throw new Error(this.homey.__('errors.group_name_required'));
+		}
+
+		const candidates = this.getSpeakerGroupCandidates().map(device => device.id);
+		const group = {
+			id: id || crypto.randomUUID(),
+			name: title,
+			// In order of priority
+			members: [...new Set(Array.isArray(members) ? members : [])].filter(member => candidates.includes(member)),
+		};
+
+		const groups = this.getSpeakerGroups().filter(existing => existing.id !== group.id);
+		const index = this.getSpeakerGroups().findIndex(existing => existing.id === group.id);
+
+		groups.splice(index === -1 ? groups.length : index, 0, group);
+		this.homey.settings.set('speakerGroups', groups);
+
+		this._syncSpeakerGroup(group.id);
+
+		return group;
+	}
+
+	deleteSpeakerGroup(groupId) {
+		this.homey.settings.set('speakerGroups', this.getSpeakerGroups().filter(group => group.id !== groupId));
+		this._syncSpeakerGroup(groupId);
+	}
+
+	_syncSpeakerGroup(groupId) {
+		// Paired group devices pick up the new members right away
+		this.homey.drivers.getDriver('spotify-connect').getDevices()
+			.filter(device => device.getData().groupId === groupId)
+			.forEach(device => device.onPlaybackUpdate());
+	}
+
+	/*
+		Autocomplete
+	*/
+	async _autocompleteTracks(query, args, debounceKey) {
+		if (!query || query.length < 2) return [];
+
+		const oAuth2Client = this._autocompleteClient(args);
+		const results = await oAuth2Client.search(query, 'track', 10, 0, { debounceKey });
+
+		// Superseded by a newer keystroke
+		if (!results) return [];
+
+		return oAuth2Client.filterPlayable(results.tracks.items).map(track => ({
+			name: track.name,
+			description: track.artists.map(a => a.name).join(', '),
+			image: track.album.images[2]?.url,
+			id: track.id,
+			uri: track.uri
+		}));
+	}
+
+	async _autocompleteArtists(query, args, debounceKey) {
+		if (!query || query.length < 2) return [];
+
+		const oAuth2Client = this._autocompleteClient(args);
+		const results = await oAuth2Client.search(query, 'artist', 10, 0, { debounceKey });
+
+		if (!results) return [];
+
+		return results.artists.items.map(artist => ({
+			name: artist.name,
+			description: `${artist.followers?.total?.toLocaleString() || 0} followers`,
+			image: artist.images[2]?.url,
+			id: artist.id,
+			uri: artist.uri
+		}));
+	}
+
+	async _autocompleteAlbums(query, args, debounceKey) {
+		if (!query || query.length < 2) return [];
+
+		const oAuth2Client = this._autocompleteClient(args);
+		const results = await oAuth2Client.search(query, 'album', 10, 0, { debounceKey });
+
+		if (!results) return [];
+
+		return results.albums.items.map(album => ({
+			name: album.name,
+			description: album.artists.map(a => a.name).join(', '),
+			image: album.images[2]?.url,
+			id: album.id,
+			uri: album.uri
+		}));
+	}
+
+	async _autocompleteShows(query, args, debounceKey) {
+		if (!query || query.length < 2) return [];
+
+		const oAuth2Client = this._autocompleteClient(args);
+		const results = await oAuth2Client.search(query, 'show', 10, 0, { debounceKey });
+
+		if (!results) return [];
+
+		return results.shows.items.filter(show => show !== null).map(show => ({
+			name: show.name,
+			description: show.publisher,
+			image: show.images?.[2]?.url || show.images?.[0]?.url,
+			id: show.id,
+			uri: show.uri
+		}));
+	}
+
+	async _autocompleteZeroConfDevices(query) {
+		const queryLower = (query || '').toLowerCase();
+
+		return this.zeroConf.getDiscoveredDevices()
+			.filter(device => !query || device.name.toLowerCase().includes(queryLower))
+			.map(device => ({
+				name: device.name,
+				description: device.activeUser ? `${device.address} (${device.activeUser})` : device.address,
+				id: device.id,
+			}));
+	}
+
+	async _autocompletePlaylists(query, args) {
+		const oAuth2Client = this._autocompleteClient(args);
+		const playlists = await oAuth2Client.getCachedPlaylists();
+
+		const queryLower = (query || '').toLowerCase();
+
+		return playlists
+			.filter(playlist => playlist !== null)
+			.filter(playlist => !query || playlist.name.toLowerCase().includes(queryLower))
+			.map(playlist => ({
+				name: playlist.name,
+				description: `${playlist.tracks?.total || 0} tracks`,
+				image: playlist.images?.[0]?.url,
+				id: playlist.id,
+				uri: playlist.uri
+			}));
+	}
+
+	// Cards with an account argument search and list with the client of that account
+	_autocompleteClient(args) {
+		return args.account?.id
+			? this.getAccountClient(args.account.id)
+			: args.device.oAuth2Client;
+	}
+
+	async _autocompleteAccounts(query) {
+		const queryLower = (query || '').toLowerCase();
+
+		return this.getAccounts()
+			.filter(account => !query || account.name.toLowerCase().includes(queryLower))
+			.map(account => ({
+				name: account.name,
+				id: account.id
+			}));
 	}
 
 }
\ No newline at end of file
@@ -2,8 +2,32 @@
 
 const Homey = require('homey');
 const { OAuth2Device, OAuth2Token} = require('homey-oauth2app');
+const { NoActiveDeviceError, RateLimitedError } = require('../../lib/SpotifyApiErrors');
+const SpotifyNowPlaying = require('../../lib/SpotifyNowPlaying');
+
+// Minimal time between volume steps while fading, to stay clear of rate limits
+const FADE_STEP_INTERVAL = 1000 * 2;
+// Number of tracks queued when playing Liked Songs, top tracks or recently played
+const TRACK_LIST_SIZE = 50;
+// Conditions accept a polled state up to this age before asking Spotify again
+const MAX_STATE_AGE = 1000 * 15;
+// Sleep timers that ended while the app wasn't running are still applied within this time
+const SLEEP_TIMER_GRACE = 1000 * 60 * 5;
+// Track based sleep timers pause just before the end, so the next track doesn't start playing
+const SLEEP_TIMER_LEAD = 1000;
+// Shown as album art for ads, local files and items without art
+const PLACEHOLDER_IMAGE = '/assets/images/large.jpg';
+
+function shuffled(items) {
+	const result = [...items];
+
+	for (let i = result.length - 1; i > 0; i--) {
+		const j = Math.floor(Math.random() * (i + 1));
+		[result[i], result[j]] = [result[j], result[i]];
+	}
 
-const SYNC_INTERVAL = 1000 * 15;
+	return result;
+}
 
 module.exports = class SpotifyConnectDevice extends OAuth2Device {
 
@@ -14,13 +38,21 @@ module.exports = class SpotifyConnectDevice extends OAuth2Device {
 		this.setAlbumArtImage(this.image);
 	}
 
-	onOAuth2Init() {
-		const { id } = this.getData();
+	async onOAuth2Init() {
+		const { id, followActive } = this.getData();
+
+		// The virtual "active device" follows whatever device is playing, pinned
+		// devices keep the id they were re-matched to after Spotify changed it
+		this.followActive = !!followActive;
+		this._id = this.followActive
+			? this.getStoreValue('activeDeviceId')
+			: this.getStoreValue('deviceId') || id;
 
-		this._id = id;
-		this.syncInterval = setInterval(() => this._sync(), SYNC_INTERVAL);
+		await this.createImage();
 
-		this.createImage();
+		if (!this.hasCapability('sleep_timer_remaining')) {
+			await this.addCapability('sleep_timer_remaining').catch(this.error);
+		}
 
 		this._sync = this._sync.bind(this);
 
@@ -34,7 +66,20 @@ module.exports = class SpotifyConnectDevice extends OAuth2Device {
 		this.registerCapabilityListener('volume_down', this._onCapabilitySpeakerVolumeDown.bind(this));
 		this.registerCapabilityListener('volume_mute', this._onCapabilitySpeakerVolumeMute.bind(this));
 
-		this._sync();
+		this._checkScopes();
+		this._restoreSleepTimer();
+
+		this.oAuth2Client.poller.subscribe(this);
+	}
+
+	async onOAuth2Saved() {
+		this._checkScopes();
+	}
+
+	async onOAuth2Uninit() {
+		this.oAuth2Client.poller.unsubscribe(this);
+		this.cancelFade();
+		clearTimeout(this.sleepTimeout);
 	}
 
 	onOAuth2Migrate() {
@@ -76,9 +121,9 @@ module.exports = class SpotifyConnectDevice extends OAuth2Device {
 	async onOAuth2Deleted() {
 		await super.onOAuth2Deleted();
 
-		if (this.syncInterval) {
-			clearInterval(this.syncInterval);
-		}
+		this.oAuth2Client.poller.unsubscribe(this);
+		this.cancelFade();
+		clearTimeout(this.sleepTimeout);
 	}
 
 	/*
@@ -96,6 +141,194 @@ module.exports = class SpotifyConnectDevice extends OAuth2Device {
 		this._sync();
 	}
 
+	async transfer(deviceId, play) {
+		await this.oAuth2Client.transferPlayback(deviceId, play);
+
+		this._sync();
+	}
+
+	async playContext(deviceId, contextUri, { shuffle, offset, positionMs } = {}, client = this.oAuth2Client) {
+		if (typeof shuffle === 'boolean') {
+			// Shuffle has to be set before playing, so Spotify picks a random first track
+			const state = await client.state();
+
+			if (state?.device?.id !== deviceId) {
+				await client.transferPlayback(deviceId, false);
+			}
+
+			await client.shuffle(deviceId, shuffle);
+		}
+
+		await client.playContext(deviceId, contextUri, { offset, positionMs });
+
+		this._sync();
+	}
+
+	async playLatestEpisode(deviceId, showId, client = this.oAuth2Client) {
+		// Episodes of a show are listed newest first
+		const { items } = await client.getShowEpisodes(showId, 1);
+		const [episode] = items.filter(Boolean);
+
+		if (!episode) {
+			throw new Error(this.homey.__('errors.nothing_to_play'));
+		}
+
+		await this.playContext(deviceId, `spotify:show:${showId}`, { offset: { uri: episode.uri } }, client);
+	}
+
+	async resumeShow(deviceId, showId, client = this.oAuth2Client) {
+		// Resume points are kept per account
+		const { items } = await client.getShowEpisodes(showId, TRACK_LIST_SIZE);
+		const episodes = items.filter(Boolean);
+
+		// Continue the newest started episode, otherwise start the newest one not played yet
+		const episode = episodes.find((episode) => !episode.resume_point?.fully_played && episode.resume_point?.resume_position_ms > 0)
+			|| episodes.find((episode) => !episode.resume_point?.fully_played)
+			|| episodes[0];
+
+		if (!episode) {
+			throw new Error(this.homey.__('errors.nothing_to_play'));
+		}
+
+		await this.playContext(deviceId, `spotify:show:${showId}`, {
+			offset: { uri: episode.uri },
+			positionMs: episode.resume_point?.fully_played ? 0 : episode.resume_point?.resume_position_ms,
+		}, client);
+	}
+
+	async seek(deviceId, positionMs) {
+		await this.oAuth2Client.seek(deviceId, positionMs);
+
+		this._sync();
+	}
+
+	async playTracks(deviceId, trackUris, client = this.oAuth2Client) {
+		if (!trackUris.length) {
+			throw new Error(this.homey.__('errors.nothing_to_play'));
+		}
+
+		await client.playTracks(deviceId, trackUris);
+
+		this._sync();
+	}
+
+	async playLikedSongs(deviceId, client = this.oAuth2Client) {
+		// Start from a random window of the library, so large libraries don't always open with the same songs
+		const { total } = await client.getSavedTracks(1);
+		const offset = Math.floor(Math.random() * Math.max(0, total - TRACK_LIST_SIZE + 1));
+		const { items } = await client.getSavedTracks(TRACK_LIST_SIZE, offset);
+
+		await this.playTracks(deviceId, shuffled(items.map((item) => item.track.uri)), client);
+	}
+
+	async playTopItems(deviceId, type, timeRange, client = this.oAuth2Client) {
+		const { items } = await client.getTopItems(type, timeRange, TRACK_LIST_SIZE);
+
+		if (type === 'artists') {
+			const [artist] = shuffled(items);
+
+			if (!artist) {
+				throw new Error(this.homey.__('errors.nothing_to_play'));
+			}
+
+			return this.playContext(deviceId, artist.uri, {}, client);
+		}
+
+		await this.playTracks(deviceId, shuffled(items.map((track) => track.uri)), client);
+	}
+
+	async playRecentlyPlayed(deviceId, client = this.oAuth2Client) {
+		const { items } = await client.getRecentlyPlayed(TRACK_LIST_SIZE);
+		const trackUris = [...new Set(items.map((item) => item.track.uri))];
+
+		await this.playTracks(deviceId, shuffled(trackUris), client);
+	}
+
+	async startRadio(deviceId, seed, { energy, valence } = {}) {
+		const item = await this.currentTrack();
+
+		// Local files have no ids to seed recommendations with
+		if (item.is_local || !item.id) {
+			throw new Error(this.homey.__('errors.not_a_track'));
+		}
+
+		const artistId = item.artists?.[0]?.id;
+		const params = { limit: TRACK_LIST_SIZE };
+		const genres = seed === 'genre' && artistId ? await this._genreSeedsOf(artistId) : [];
+
+		if (genres.length) {
+			// Spotify accepts at most five seeds
+			params.seed_genres = genres.slice(0, 5).join(',');
+		} else if ((seed === 'genre' || seed === 'artist') && artistId) {
+			params.seed_artists = artistId;
+		} else {
+			params.seed_tracks = item.id;
+		}
+
+		if (typeof energy === 'number') {
+			params.target_energy = energy / 100;
+		}
+
+		if (typeof valence === 'number') {
+			params.target_valence = valence / 100;
+		}
+
+		const { tracks } = await this.oAuth2Client.getRecommendations(params);
+
+		await this.playTracks(deviceId, tracks.map((track) => track.uri));
+	}
+
+	async _genreSeedsOf(artistId) {
+		const [artist, available] = await Promise.all([
+			this.oAuth2Client.getArtist(artistId),
+			this.oAuth2Client.getAvailableGenreSeeds(),
+		]);
+
+		// Artists have free text genres like "Indie Folk", seeds are ids like "indie-folk"
+		const genres = (artist.genres || [])
+			.map((genre) => genre.trim().toLowerCase().replace(/\s+/g, '-'))
+			.filter((genre) => available.includes(genre));
+
+		return [...new Set(genres)];
+	}
+
+	async addTracksToQueue(deviceId, trackUris, client = this.oAuth2Client) {
+		if (!trackUris.length) {
+			throw new Error(this.homey.__('errors.nothing_to_play'));
+		}
+
+		try {
+			await client.addToQueue(deviceId, trackUris[0]);
+		} catch (error) {
+			// Queue API requires active playback - play the tracks instead
+			if (error instanceof NoActiveDeviceError) {
+				return this.playTracks(deviceId, trackUris, client);
+			}
+
+			throw error;
+		}
+
+		// The queue endpoint takes one track at a time
+		for (const trackUri of trackUris.slice(1)) {
+			await client.addToQueue(deviceId, trackUri);
+		}
+	}
+
+	async queueAlbum(deviceId, albumId, client = this.oAuth2Client) {
+		const { items } = await client.getAlbumTracks(albumId, TRACK_LIST_SIZE);
+
+		await this.addTracksToQueue(deviceId, items.map((track) => track.uri), client);
+	}
+
+	async queuePlaylist(deviceId, playlistId, count, client = this.oAuth2Client) {
+		const { items } = await client.getPlaylistTracks(playlistId, Math.min(count, TRACK_LIST_SIZE));
+		const trackUris = items
+			.filter((item) => item.track && !item.is_local)
+			.map((item) => item.track.uri);
+
+		await this.addTracksToQueue(deviceId, trackUris, client);
+	}
+
 	async repeat(deviceId, state) {
 		await this.oAuth2Client.repeat(deviceId, state);
 	}
@@ -114,6 +347,358 @@ module.exports = class SpotifyConnectDevice extends OAuth2Device {
 		return this.oAuth2Client.volume(deviceId, volume);
 	}
 
+	async fadeVolume(deviceId, target, durationMs) {
+		// Starting a new fade stops the one that is still running
+		const fadeId = this.cancelFade();
+
+		const device = await this.device(deviceId);
+		const start = (device?.volume_percent || 0) / 100;
+		const steps = Math.max(1, Math.min(
+			Math.round(Math.abs(target - start) * 100),
+			Math.floor(durationMs / FADE_STEP_INTERVAL),
+		));
+
+		for (let step = 1; step <= steps; step++) {
+			await new Promise(resolve => setTimeout(resolve, durationMs / steps));
+
+			if (fadeId !== this.fadeId) return false;
+
+			await this.volume(deviceId, start + (target - start) * (step / steps));
+		}
+
+		this._sync();
+
+		return true;
+	}
+
+	async fadeOutAndPause(deviceId, durationMs, originalVolume = null) {
+		if (originalVolume === null) {
+			const device = await this.device(deviceId);
+			originalVolume = (device?.volume_percent || 0) / 100;
+		}
+
+		if (!await this.fadeVolume(deviceId, 0, durationMs)) return;
+
+		await this.playing(deviceId, false);
+		await this.volume(deviceId, originalVolume);
+	}
+
+	async saveSnapshot() {
+		const state = await this.state();
+
+		const snapshot = {
+			deviceId: state?.device?.id || this._id,
+			contextUri: state?.context?.uri || null,
+			trackUri: state?.item?.uri || null,
+			positionMs: state?.progress_ms || 0,
+			volume: (state?.device?.volume_percent || 0) / 100,
+			shuffle: !!state?.shuffle_state,
+			repeat: this.repeatMode(state?.repeat_state),
+			playing: !!state?.is_playing,
+		};
+
+		await this.setStoreValue('playbackSnapshot', snapshot);
+
+		return snapshot;
+	}
+
+	async restoreSnapshot() {
+		const snapshot = this.getStoreValue('playbackSnapshot');
+
+		if (!snapshot) {
+			throw new Error(this.homey.__('errors.no_snapshot'));
+		}
+
+		// Nothing was playing when the snapshot was saved
+		if (!snapshot.trackUri) return;
+
+		const { deviceId, contextUri, trackUri, positionMs } = snapshot;
+
+		// Set before playing, so the track doesn't start at the volume of whatever interrupted it.
+		// A device that isn't active yet only takes the volume once it plays
+		const volumeRestored = await this.volume(deviceId, snapshot.volume).then(() => true, (error) => {
+			if (error instanceof NoActiveDeviceError) return false;
+			throw error;
+		});
+
+		// The position goes along with play, Spotify drops a seek sent before the track has loaded.
+		// Artist contexts can't start at a specific track
+		if (contextUri && /^spotify:(album|playlist):/.test(contextUri)) {
+			await this.oAuth2Client.playContext(deviceId, contextUri, { offset: { uri: trackUri }, positionMs });
+		} else {
+			await this.oAuth2Client.playTrack(deviceId, trackUri, { positionMs });
+		}
+
+		if (!volumeRestored) {
+			await this.volume(deviceId, snapshot.volume);
+		}
+
+		await this.shuffle(deviceId, snapshot.shuffle);
+		await this.repeat(deviceId, snapshot.repeat);
+
+		if (!snapshot.playing) {
+			await this.playing(deviceId, false);
+		}
+
+		this._sync();
+	}
+
+	cancelFade() {
+		this.fadeId = (this.fadeId || 0) + 1;
+
+		return this.fadeId;
+	}
+
+	/*
+		Sleep timer
+	*/
+	async startSleepTimer(mode, { minutes, fadeSeconds } = {}) {
+		const timer = {
+			mode,
+			fadeMs: Math.max(0, Math.round((fadeSeconds || 0) * 1000)),
+		};
+
+		if (mode === 'time') {
+			timer.endsAt = Date.now() + minutes * 60 * 1000;
+		} else {
+			const { state } = await this.getPlaybackState();
+
+			if (!state || !state.item) {
+				throw new NoActiveDeviceError(this.homey.__('errors.no_active_device'));
+			}
+
+			timer.trackUri = state.item.uri;
+
+			if (mode === 'context') {
+				// Only albums and playlists have a last track, artists, shows and collections never end the timer
+				const [, type] = (state.context?.uri || '').split(':');
+				if (!['album', 'playlist'].includes(type)) {
+					throw new Error(this.homey.__('errors.no_context'));
+				}
+
+				timer.contextUri = state.context.uri;
+				// While shuffling there is no last track, the timer then waits for the context to change
+				timer.lastTrackUri = state.shuffle_state ? null : await this._lastTrackOf(state.context.uri);
+
+				if (!state.shuffle_state && !timer.lastTrackUri) {
+					throw new Error(this.homey.__('errors.no_context'));
+				}
+			}
+		}
+
+		await this.setStoreValue('sleepTimer', timer);
+
+		// Track based timers get their end time from the next sync
+		this.sleepTimerEndsAt = timer.endsAt || null;
+		this._scheduleSleepTimer(timer);
+		this._sync();
+	}
+
+	async cancelSleepTimer() {
+		clearTimeout(this.sleepTimeout);
+		this.sleepTimerEndsAt = null;
+
+		// Cancelled while fading out, stop the fade and put the volume back
+		if (this.sleepTimerFiring) {
+			this.cancelFade();
+
+			if (typeof this.sleepTimerVolume === 'number') {
+				await this.volume(this._id, this.sleepTimerVolume);
+			}
+		}
+
+		await this.unsetStoreValue('sleepTimer');
+		this._setSleepTimerRemaining();
+	}
+
+	_restoreSleepTimer() {
+		const timer = this.getStoreValue('sleepTimer');
+
+		if (!timer) return;
+
+		if (timer.mode === 'time' && timer.endsAt < Date.now() - SLEEP_TIMER_GRACE) {
+			this.unsetStoreValue('sleepTimer').catch(this.error);
+			return;
+		}
+
+		this.sleepTimerEndsAt = timer.endsAt || null;
+		this._scheduleSleepTimer(timer);
+	}
+
+	_updateSleepTimer(state, fetchedAt) {
+		const timer = this.getStoreValue('sleepTimer');
+
+		if (!timer || this.sleepTimerFiring) return;
+
+		if (timer.mode !== 'time') {
+			// Nothing left to stop once playback ended or was paused
+			if (!state || !state.is_playing) {
+				this.cancelSleepTimer().catch(this.error);
+				return;
+			}
+
+			const finished = timer.mode === 'track'
+				? state.item?.uri !== timer.trackUri
+				: state.context?.uri !== timer.contextUri;
+
+			// A sync arrived after the end, stop what started playing next
+			if (finished) {
+				this.sleepTimerEndsAt = Date.now();
+				this._scheduleSleepTimer({ ...timer, fadeMs: 0 });
+				return;
+			}
+
+			const lastTrackUri = timer.mode === 'track' ? timer.trackUri : timer.lastTrackUri;
+			const trackEndsAt = fetchedAt + (state.item?.duration_ms || 0) - (state.progress_ms || 0);
+
+			this.sleepTimerEndsAt = state.item?.uri === lastTrackUri
+				? trackEndsAt - SLEEP_TIMER_LEAD
+				: null;
+		}
+
+		this._scheduleSleepTimer(timer);
+	}
+
+	_scheduleSleepTimer(timer) {
+		clearTimeout(this.sleepTimeout);
+		this._setSleepTimerRemaining();
+
+		if (!this.sleepTimerEndsAt) return;
+
+		// The fade out ends when the timer does
+		const delay = Math.max(0, this.sleepTimerEndsAt - timer.fadeMs - Date.now());
+
+		this.sleepTimeout = setTimeout(() => {
+			this._finishSleepTimer(timer).catch(this.error);
+		}, delay);
+	}
+
+	async _finishSleepTimer(timer) {
+		this.sleepTimerFiring = true;
+
+		try {
+			await this.unsetStoreValue('sleepTimer');
+
+			const fadeMs = Math.min(timer.fadeMs, Math.max(0, this.sleepTimerEndsAt - Date.now()));
+
+			if (fadeMs > 0) {
+				const device = await this.device(this._id);
+				this.sleepTimerVolume = (device?.volume_percent || 0) / 100;
+
+				await this.fadeOutAndPause(this._id, fadeMs, this.sleepTimerVolume);
+			} else {
+				await this.playing(this._id, false);
+			}
+		} finally {
+			this.sleepTimerFiring = false;
+			this.sleepTimerVolume = null;
+			this.sleepTimerEndsAt = null;
+			this._setSleepTimerRemaining();
+			this._sync();
+		}
+	}
+
+	_setSleepTimerRemaining() {
+		const remaining = this.sleepTimerEndsAt
+			? Math.max(0, Math.ceil((this.sleepTimerEndsAt - Date.now()) / 60000))
+			: null;
+
+		if (this.hasCapability('sleep_timer_remaining')) {
+			this.setCapabilityValue('sleep_timer_remaining', remaining).catch(this.error);
+		}
+	}
+
+	async _lastTrackOf(contextUri) {
+		const [, type, id] = contextUri.split(':');
+
+		if (type === 'album') {
+			const { total } = await this.oAuth2Client.getAlbumTracks(id, 1);
+			const { items } = await this.oAuth2Client.getAlbumTracks(id, 1, Math.max(0, total - 1));
+
+			return items[0]?.uri || null;
+		}
+
+		if (type === 'playlist') {
+			const { total } = await this.oAuth2Client.getPlaylistTracks(id, 1);
+			const { items } = await this.oAuth2Client.getPlaylistTracks(id, 1, Math.max(0, total - 1));
+
+			return items[0]?.track?.uri || null;
+		}
+
+		return null;
+	}
+
+	// The device that carries out actions, speaker groups pick one of their members
+	async resolveTarget() {
+		return this;
+	}
+
+	async getAccount(accountId) {
+		const { OAuth2SessionId, spotifyName = this.getName() } = this.getStore();
+
+		if (!accountId || accountId === OAuth2SessionId) {
+			return { client: this.oAuth2Client, deviceId: this._id };
+		}
+
+		// Another paired account sees this speaker under its own device id
+		const client = this.homey.app.getAccountClient(accountId);
+		const { devices } = await client.getDevices();
+		const device = devices.find((device) => device.id === this._id)
+			|| devices.find((device) => device.name === spotifyName);
+
+		if (!device) {
+			throw new Error(this.homey.__('errors.device_not_found_for_account'));
+		}
+
+		return { client, deviceId: device.id };
+	}
+
+	async currentItem() {
+		const state = await this.state();
+
+		if (!state || !state.item) {
+			throw new NoActiveDeviceError(this.homey.__('errors.no_active_device'));
+		}
+
+		return state.item;
+	}
+
+	async currentPlayback() {
+		const state = await this.state();
+
+		// The account can be playing on one of its other devices
+		if (!state || !state.item || state.device?.id !== this._id) {
+			throw new NoActiveDeviceError(this.homey.__('errors.no_active_device'));
+		}
+
+		return state;
+	}
+
+	async currentTrack() {
+		const item = await this.currentItem();
+
+		if (item.type !== 'track') {
+			throw new Error(this.homey.__('errors.not_a_track'));
+		}
+
+		return item;
+	}
+
+	// The track playing on this device, saved to the library of `client`
+	async setTrackLiked(liked, client = this.oAuth2Client) {
+		const item = await this.currentTrack();
+
+		liked
+			? await client.saveTracks([item.id])
+			: await client.removeTracks([item.id]);
+	}
+
+	async addCurrentTrackToPlaylist(playlistId, client = this.oAuth2Client) {
+		const item = await this.currentItem();
+
+		await client.addToPlaylist(playlistId, [item.uri]);
+	}
+
 	async device(deviceId) {
 		const devices = await this.oAuth2Client.getDevices();
 
@@ -124,6 +709,76 @@ module.exports = class SpotifyConnectDevice extends OAuth2Device {
 		return this.oAuth2Client.state();
 	}
 
+	describeItem(item) {
+		return SpotifyNowPlaying.describeItem(item);
+	}
+
+	repeatMode(repeatState) {
+		return SpotifyNowPlaying.repeatMode(repeatState);
+	}
+
+	getNowPlaying() {
+		if (!this.nowPlaying) {
+			return { active: false };
+		}
+
+		// Estimate the position since the last sync, so widgets don't need to ask Spotify
+		const { playing, progressMs, durationMs, fetchedAt } = this.nowPlaying;
+		const elapsed = playing ? Date.now() - fetchedAt : 0;
+
+		return {
+			...this.nowPlaying,
+			progressMs: Math.min(progressMs + elapsed, durationMs),
+		};
+	}
+
+	async getPlaybackState() {
+		// Reuse the state of the last poll, only hit the API when it is stale
+		const { devices, state } = await this.oAuth2Client.poller.getLatest(MAX_STATE_AGE);
+
+		return this._playbackFor(devices, state);
+	}
+
+	_playbackFor(devices, state) {
+		const device = this._findDevice(devices);
+
+		return {
+			device,
+			state: device && device.is_active ? state : null,
+		};
+	}
+
+	_findDevice(devices) {
+		if (this.followActive) {
+			const device = devices.find((device) => device.is_active);
+
+			if (device && device.id !== this._id) {
+				this._id = device.id;
+				this.setStoreValue('activeDeviceId', device.id).catch(this.error);
+			}
+
+			return device;
+		}
+
+		const device = devices.find((device) => device.id === this._id);
+
+		if (device) return device;
+
+		// Spotify hands out new ids to phones, web players and Cast targets, so
+		// fall back to the name and type the device was paired with
+		const { spotifyName = this.getName(), spotifyType } = this.getStore();
+		const match = devices.find((device) => device.name === spotifyName && (!spotifyType || device.type === spotifyType));
+
+		if (match) {
+			this.log(`Re-matched "${match.name}" to new Spotify device id ${match.id}`);
+
+			this._id = match.id;
+			this.setStoreValue('deviceId', match.id).catch(this.error);
+		}
+
+		return match;
+	}
+
 	/*
 		Capabilities
 	*/
@@ -175,49 +830,157 @@ module.exports = class SpotifyConnectDevice extends OAuth2Device {
 		return this.volume(this._id, this.deviceMuted ? 0 : this.deviceVolume);
 	}
 
-	_onCapabilitySpeakerPlaying() {
+	async _onCapabilitySpeakerPlaying() {
 		this.devicePlaying = !this.devicePlaying;
 
+		// Continue the music here when playback is on another device
+		const { device } = await this.getPlaybackState();
+
+		if (this.devicePlaying && !device?.is_active) {
+			return this.transfer(this._id, true);
+		}
+
 		return this.playing(this._id, this.devicePlaying);
 	}
 
+	_setAlbumArt(url) {
+		if (url === this.albumArtUrl) return;
+
+		this.albumArtUrl = url;
+
+		// Don't leave the art of the previous item up when this one has none
+		url ? this.image.setUrl(url) : this.image.setPath(PLACEHOLDER_IMAGE);
+		this.image.update().catch(this.error);
+	}
+
+	_checkScopes() {
+		// Existing users have to repair the device to grant newly added scopes
+		const missingScopes = this.oAuth2Client.getMissingScopes();
+
+		missingScopes.length
+			? this.setWarning(this.homey.__('warnings.missing_scopes')).catch(this.error)
+			: this.unsetWarning().catch(this.error);
+	}
+
+	/*
+		Flow triggers
+	*/
+	_trigger(cardId, tokens = {}) {
+		this.homey.flow.getDeviceTriggerCard(cardId)
+			.trigger(this, tokens)
+			.catch(this.error);
+	}
+
+	_triggerChanges(previous, current) {
+		// Nothing to compare against on the first poll after init or reactivation
+		if (!previous) return;
+
+		// Going idle is not a new track
+		if (current.trackUri && previous.trackUri !== current.trackUri) {
+			this._trigger('track_changed', {
+				track_name: current.track || '',
+				artist_name: current.artist || '',
+				album_name: current.album || '',
+				track_uri: current.trackUri || '',
+			});
+		}
+
+		if (previous.playing !== current.playing) {
+			this._trigger(current.playing ? 'playback_started' : 'playback_paused');
+		}
+
+		if (previous.shuffle !== current.shuffle) {
+			this._trigger('shuffle_changed', { shuffle: current.shuffle });
+		}
+
+		if (previous.repeat !== current.repeat) {
+			this._trigger('repeat_changed', { repeat_mode: current.repeat });
+		}
+
+		// Devices without volume control report no volume, which is not a change
+		if (typeof current.volume === 'number' && previous.volume !== current.volume) {
+			this._trigger('volume_changed', { volume: current.volume });
+		}
+	}
+
 	_sync() {
+		// Errors reach every device through onPlaybackError
+		this.oAuth2Client.poller.refresh().catch(() => {});
+	}
+
+	onPlaybackError(err) {
+		if (err instanceof RateLimitedError) {
+			this.log(`Rate limited, retrying in ${err.retryAfter} seconds`);
+			return;
+		}
+
+		this.error(err);
+		this.setUnavailable(err).catch(this.error);
+	}
+
+	onPlaybackUpdate({ devices, state: playback, fetchedAt }) {
 
 		Promise.resolve().then(async () => {
-			const device = await this.device(this._id);
+			const { device, state } = this._playbackFor(devices, playback);
+			const nowPlaying = SpotifyNowPlaying.fromPlayback({ device, state, fetchedAt });
 
-			if(device && device.is_active) {
+			// An active device without anything loaded is idle, not broken
+			if(nowPlaying.active) {
 				this.setAvailable();
 
-				this.deviceVolume = device.volume_percent / 100;
+				this.deviceVolume = (nowPlaying.volume || 0) / 100;
 				this.deviceMuted = this.deviceVolume === 0;
 
 				this.setCapabilityValue('volume_mute', this.deviceMuted)
 
-				const state = await this.state();
+				this.devicePlaying = nowPlaying.playing;
+				this.deviceShuffling = nowPlaying.shuffle;
+				this.deviceRepeatMode = nowPlaying.repeat;
 
-				this.devicePlaying = state.is_playing;
-				this.deviceShuffling = state.shuffle_state;
-				this.deviceRepeatMode = state.repeat_state === "track" ? "track" : (state.repeat_state === "context" ? "playlist" : "none");
+				const snapshot = {
+					playing: this.devicePlaying,
+					shuffle: this.deviceShuffling,
+					repeat: this.deviceRepeatMode,
+					volume: nowPlaying.volume,
+					trackUri: nowPlaying.trackUri,
+					track: nowPlaying.track,
+					artist: nowPlaying.artist,
+					album: nowPlaying.album,
+				};
 
-				const artist = state.item.artists.map((artist) => artist.name).join(' & ');
+				this._triggerChanges(this.lastSnapshot, snapshot);
+				this.lastSnapshot = snapshot;
+				this._updateSleepTimer(state, fetchedAt);
+
+				this.nowPlaying = nowPlaying;
 
 				this.setCapabilityValue('speaker_playing', this.devicePlaying)
 				this.setCapabilityValue('speaker_shuffle', this.deviceShuffling)
 				this.setCapabilityValue('speaker_repeat', this.deviceRepeatMode)
-				this.setCapabilityValue('speaker_artist', artist)
-				this.setCapabilityValue('speaker_album', state.item.album.name)
-				this.setCapabilityValue('speaker_track', state.item.name)
+				this.setCapabilityValue('speaker_artist', nowPlaying.artist)
+				this.setCapabilityValue('speaker_album', nowPlaying.album)
+				this.setCapabilityValue('speaker_track', nowPlaying.track)
 
-				const albumCover = state.item.album.images.find((image) => image.url)?.url;
+				this._setAlbumArt(nowPlaying.image);
 
-				if(albumCover) {
-					this.image.setUrl(albumCover);
-					this.image.update();
+			} else {
+				if (this.lastSnapshot) {
+					this._trigger('device_inactive');
+					this.lastSnapshot = null;
 				}
 
-			} else {
-				this.setUnavailable();
+				this.nowPlaying = null;
+				this._updateSleepTimer(null, fetchedAt);
+
+				if (device || this.followActive) {
+					// Not the active device, but still reachable to transfer playback to
+					this.setAvailable();
+
+					this.devicePlaying = false;
+					this.setCapabilityValue('speaker_playing', false)
+				} else {
+					this.setUnavailable();
+				}
 			}
 		}).catch(err => {
 			this.error(err);
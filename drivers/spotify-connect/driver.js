@@ -3,15 +3,24 @@
 const Homey = require('homey');
 const { OAuth2Driver } = require('homey-oauth2app');
 
+const SpotifyConnectDevice = require('./device');
+const SpotifyGroupDevice = require('./group');
+
 module.exports = class SpotifyConnectDriver extends OAuth2Driver {
 
+	onMapDeviceClass(device) {
+		return device.getData().groupId ? SpotifyGroupDevice : SpotifyConnectDevice;
+	}
+
 	async onPairListDevices({ oAuth2Client }) {
 		const res = await oAuth2Client.getDevices();
+		const me = await oAuth2Client.getMe();
 
-		return res.devices.map(device => {
+		const devices = res.devices.map(device => {
 			const {
 				id,
 				name,
+				type,
 			} = device;
 
 			return {
@@ -19,8 +28,34 @@ module.exports = class SpotifyConnectDriver extends OAuth2Driver {
 				data: {
 					'id': id,
 				},
+				store: {
+					'spotifyName': name,
+					'spotifyType': type,
+				},
 			};
 		});
+
+		// Virtual device that controls whichever Spotify device is active
+		devices.unshift({
+			name: this.homey.__('pair.active_device'),
+			data: {
+				'id': `active:${me.id}`,
+				'followActive': true,
+			},
+		});
+
+		// Speaker groups are set up in the app settings
+		this.homey.app.getSpeakerGroups().forEach((group) => {
+			devices.push({
+				name: group.name,
+				data: {
+					'id': `group:${group.id}`,
+					'groupId': group.id,
+				},
+			});
+		});
+
+		return devices;
 	}
 
 }
\ No newline at end of file
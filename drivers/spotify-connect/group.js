@@ -0,0 +1,184 @@
+'use strict';
+
+const SpotifyConnectDevice = require('./device');
+
+// Controls the group passes on to the member it resolves to
+const GROUP_CAPABILITIES = [
+	'speaker_playing',
+	'speaker_next',
+	'speaker_prev',
+	'speaker_shuffle',
+	'speaker_repeat',
+	'volume_set',
+	'volume_up',
+	'volume_down',
+	'volume_mute',
+];
+
+/*
+	A speaker group: a virtual device for several paired speakers in priority
+	order. Spotify only plays on one device at a time, so the group follows the
+	member that is playing, or else the first member Spotify can reach.
+*/
+module.exports = class SpotifyGroupDevice extends SpotifyConnectDevice {
+
+	async onOAuth2Init() {
+		this.groupId = this.getData().groupId;
+		this.member = null;
+		this.pollers = new Set();
+
+		await this.createImage();
+
+		this._sync = this._sync.bind(this);
+
+		GROUP_CAPABILITIES.forEach((capabilityId) => {
+			this.registerCapabilityListener(capabilityId, async (value) => {
+				const member = await this.resolveMember();
+
+				await member.triggerCapabilityListener(capabilityId, value);
+				this._sync();
+			});
+		});
+
+		this._checkScopes();
+		this._subscribe(this.oAuth2Client.poller);
+	}
+
+	async onOAuth2Uninit() {
+		await super.onOAuth2Uninit();
+		this._unsubscribe();
+	}
+
+	async onOAuth2Deleted() {
+		await super.onOAuth2Deleted();
+		this._unsubscribe();
+	}
+
+	/*
+		Members
+	*/
+	getMembers() {
+		const group = this.homey.app.getSpeakerGroup(this.groupId);
+		const devices = this.driver.getDevices();
+
+		return (group?.members || [])
+			.map((memberId) => devices.find((device) => device.__id === memberId))
+			// Members that are still initializing have no client yet
+			.filter((device) => device && device !== this && device.oAuth2Client);
+	}
+
+	// Actions run on the state right now, so stale accounts are asked again
+	async resolveMember() {
+		const members = this._requireMembers();
+		const playback = await Promise.all(members.map((member) => member.getPlaybackState().catch(() => ({}))));
+
+		return this._pickMember(members, playback);
+	}
+
+	// Mirroring only reads what the pollers have, asking every poll would keep all accounts on the fast interval
+	_latestMember() {
+		const members = this._requireMembers();
+		const playback = members.map((member) => {
+			const { latest } = member.oAuth2Client.poller;
+
+			return latest ? member._playbackFor(latest.devices, latest.state) : {};
+		});
+
+		return this._pickMember(members, playback);
+	}
+
+	_requireMembers() {
+		const members = this.getMembers();
+
+		if (!members.length) {
+			throw new Error(this.homey.__('errors.group_empty'));
+		}
+
+		return members;
+	}
+
+	_pickMember(members, playback) {
+		const active = playback.findIndex(({ device }) => device?.is_active);
+
+		if (active !== -1) return members[active];
+
+		const reachable = playback.findIndex(({ device }) => device);
+
+		return members[reachable !== -1 ? reachable : 0];
+	}
+
+	async resolveTarget() {
+		return this.resolveMember();
+	}
+
+	async getAccount(accountId) {
+		const member = await this.resolveMember();
+
+		return member.getAccount(accountId);
+	}
+
+	async getPlaybackState() {
+		const member = await this.resolveMember();
+
+		return member.getPlaybackState();
+	}
+
+	_playbackFor(devices, state) {
+		return this.member
+			? this.member._playbackFor(devices, state)
+			: { device: null, state: null };
+	}
+
+	/*
+		Sync
+	*/
+	_sync() {
+		this.getMembers().forEach((member) => member._sync());
+	}
+
+	_subscribe(poller) {
+		// Added first, subscribing calls back right away with the latest state
+		if (this.pollers.has(poller)) return;
+
+		this.pollers.add(poller);
+		poller.subscribe(this);
+	}
+
+	_unsubscribe() {
+		this.pollers.forEach((poller) => poller.unsubscribe(this));
+		this.pollers.clear();
+	}
+
+	onPlaybackUpdate() {
+		// Members can be paired with other accounts, each with its own poller
+		this.getMembers().forEach((member) => this._subscribe(member.oAuth2Client.poller));
+
+		try {
+			this._mirror();
+		} catch (err) {
+			this.error(err);
+			this.setUnavailable(err).catch(this.error);
+		}
+	}
+
+	_mirror() {
+		const member = this._latestMember();
+
+		if (member !== this.member) {
+			this.log(`Following group member "${member.getName()}"`);
+			this.member = member;
+		}
+
+		// Nothing polled yet for the account of this member
+		const { latest } = member.oAuth2Client.poller;
+
+		if (!latest) return;
+
+		super.onPlaybackUpdate(latest);
+
+		if (this.hasCapability('sleep_timer_remaining')) {
+			this.setCapabilityValue('sleep_timer_remaining', member.getCapabilityValue('sleep_timer_remaining') ?? null).catch(this.error);
+		}
+	}
+
+}
@@ -0,0 +1,79 @@
+'use strict';
+
+/*
+  Typed errors for Spotify Web API responses. The CODE of each class is the
+  key of its user-facing message under "errors" in the locales.
+*/
+class SpotifyApiError extends Error {
+
+  static CODE = 'unknown';
+
+  constructor(message, { status = null, reason = null } = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = this.constructor.CODE;
+    this.status = status;
+    this.reason = reason;
+  }
+
+}
+
+class NoActiveDeviceError extends SpotifyApiError {
+
+  static CODE = 'no_active_device';
+
+}
+
+class PremiumRequiredError extends SpotifyApiError {
+
+  static CODE = 'premium_required';
+
+}
+
+class RateLimitedError extends SpotifyApiError {
+
+  static CODE = 'rate_limited';
+
+  constructor(message, { retryAfter = 1, ...props } = {}) {
+    super(message, { status: 429, ...props });
+
+    this.retryAfter = retryAfter;
+  }
+
+}
+
+class InsufficientScopeError extends SpotifyApiError {
+
+  static CODE = 'insufficient_scope';
+
+}
+
+class ForbiddenError extends SpotifyApiError {
+
+  static CODE = 'forbidden';
+
+}
+
+class TokenRevokedError extends SpotifyApiError {
+
+  static CODE = 'token_revoked';
+
+}
+
+class RadioUnavailableError extends SpotifyApiError {
+
+  static CODE = 'radio_unavailable';
+
+}
+
+module.exports = {
+  SpotifyApiError,
+  NoActiveDeviceError,
+  PremiumRequiredError,
+  RateLimitedError,
+  InsufficientScopeError,
+  ForbiddenError,
+  TokenRevokedError,
+  RadioUnavailableError,
+};
\ No newline at end of file
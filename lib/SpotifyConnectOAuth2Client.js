@@ -3,6 +3,31 @@
 const Homey = require('homey');
 const { OAuth2Client, fetch } = require('homey-oauth2app');
 
+const SpotifyOAuth2Token = require('./SpotifyOAuth2Token');
+const SpotifyPlaybackPoller = require('./SpotifyPlaybackPoller');
+const SpotifySearchCache = require('./SpotifySearchCache');
+const {
+  SpotifyApiError,
+  NoActiveDeviceError,
+  PremiumRequiredError,
+  RateLimitedError,
+  InsufficientScopeError,
+  ForbiddenError,
+  TokenRevokedError,
+  RadioUnavailableError,
+} = require('./SpotifyApiErrors');
+
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 500;
+// Longer waits are left to the caller, e.g. the playback poller
+const MAX_RETRY_AFTER = 10;
+const SEARCH_DEBOUNCE = 250;
+// Autocomplete asks for the playlists on every keystroke
+const PLAYLISTS_TTL = 1000 * 60;
+
+// Search results don't depend on the account, so all sessions share one cache
+const searchCache = new SpotifySearchCache();
+
 module.exports = class SpotifyConnectOAuth2Client extends OAuth2Client {
   static CLIENT_ID = '';
   static CLIENT_SECRET = '';
@@ -10,18 +35,188 @@ module.exports = class SpotifyConnectOAuth2Client extends OAuth2Client {
   static API_URL = 'https://api.spotify.com/v1';
   static TOKEN_URL = 'https://accounts.spotify.com/api/token';
   static AUTHORIZATION_URL = 'https://accounts.spotify.com/authorize';
+  static TOKEN = SpotifyOAuth2Token;
   static SCOPES = [
       'user-read-playback-state',
       'user-modify-playback-state',
       'user-read-currently-playing',
       'app-remote-control',
       'playlist-read-private',
-      'user-library-read'
+      'playlist-modify-public',
+      'playlist-modify-private',
+      'user-library-read',
+      'user-library-modify',
+      'user-top-read',
+      'user-read-recently-played',
+      'user-read-private',
+      'user-read-playback-position'
   ];
 
   async onInit() {
     this._clientId = this.homey.settings.get('client_id');
     this._clientSecret = this.homey.settings.get('client_secret');
+
+    this.poller = new SpotifyPlaybackPoller({ client: this });
+    this._pendingSearches = new Map();
+    this._playlists = null;
+    // Shared between sessions, tests can swap in their own
+    this.searchCache = searchCache;
+  }
+
+  async onUninit() {
+    this.poller.stop();
+  }
+
+  async onGetOAuth2SessionInformation() {
+    // Sessions are Spotify accounts, the app reuses the session when an account signs in again
+    const me = await this.getMe();
+
+    return {
+      id: me.id,
+      title: me.display_name || me.id,
+    };
+  }
+
+  async onIsRateLimited() {
+    // Handled by onHandleNotOK so the Retry-After header ends up on the error
+    return false;
+  }
+
+  async onHandleNotOK({ body, status, statusText, headers }) {
+    const reason = body?.error?.reason || null;
+    const message = body?.error?.message || `${status} ${statusText || 'Unknown Error'}`;
+
+    if (status === 429) {
+      return this._createError(RateLimitedError, {
+        reason,
+        retryAfter: parseInt(headers.get('Retry-After'), 10) || 1,
+      });
+    }
+
+    if (reason === 'NO_ACTIVE_DEVICE' || (status === 404 && /active device/i.test(message))) {
+      return this._createError(NoActiveDeviceError, { status, reason });
+    }
+
+    if (reason === 'PREMIUM_REQUIRED') {
+      return this._createError(PremiumRequiredError, { status, reason });
+    }
+
+    if (status === 403 && /scope/i.test(message)) {
+      return this._createError(InsufficientScopeError, { status, reason });
+    }
+
+    // Apps in development mode answer 403 for users not allowlisted in the Developer Dashboard
+    if (status === 403) {
+      return this._createError(ForbiddenError, { status, reason });
+    }
+
+    return new SpotifyApiError(message, { status, reason });
+  }
+
+  async onHandleRefreshTokenError({ response }) {
+    const body = await response.clone().json().catch(() => null);
+
+    if (body?.error === 'invalid_grant') {
+      throw this._createError(TokenRevokedError, { status: response.status });
+    }
+
+    return super.onHandleRefreshTokenError({ response });
+  }
+
+  async get(args) {
+    return this._withRetries(() => super.get(args), true);
+  }
+
+  async put(args) {
+    return this._withRetries(() => super.put(args), true);
+  }
+
+  async post(args) {
+    return this._withRetries(() => super.post(args), false);
+  }
+
+  async delete(args) {
+    return this._withRetries(() => super.delete(args), true);
+  }
+
+  async _withRetries(request, idempotent) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (err) {
+        const delay = this._retryDelay(err, attempt, idempotent);
+
+        if (delay === null) {
+          throw err;
+        }
+
+        this.log(`Retrying request in ${delay}ms (${err.message})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  _retryDelay(err, attempt, idempotent) {
+    if (attempt >= MAX_RETRIES) {
+      return null;
+    }
+
+    // A rate limited request was never handled, so it is always safe to retry
+    if (err instanceof RateLimitedError) {
+      return err.retryAfter <= MAX_RETRY_AFTER ? err.retryAfter * 1000 : null;
+    }
+
+    // Transient server errors, only retried when repeating the request is harmless
+    if (idempotent && err.status >= 500) {
+      return RETRY_DELAY * 2 ** attempt;
+    }
+
+    return null;
+  }
+
+  _createError(ErrorClass, props) {
+    return new ErrorClass(this.homey.__(`errors.${ErrorClass.CODE}`), props);
+  }
+
+  getMissingScopes() {
+    // Tokens saved before the scope was stored are only known after their next refresh
+    const granted = this.getToken()?.getScopes?.();
+    if (!granted) {
+      return [];
+    }
+    return this.constructor.SCOPES.filter(scope => !granted.includes(scope));
+  }
+
+  async getMe() {
+    return this.get({
+      path: '/me',
+    });
+  }
+
+  async getMarket() {
+    // An override from the app settings wins over the country of the account
+    const override = (this.homey.settings.get('market') || '').trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(override)) {
+      return override;
+    }
+
+    // The country is read once per session, it needs the user-read-private scope
+    if (!this._market) {
+      this._market = this.getMe()
+        .then(me => me.country || 'from_token')
+        .catch((err) => {
+          this._market = null;
+          this.error('Could not read the market of the account', err);
+          return 'from_token';
+        });
+    }
+
+    return this._market;
+  }
+
+  filterPlayable(items) {
+    // Spotify only marks items as unplayable when a market is given
+    return items.filter(item => item && item.is_playable !== false);
   }
 
   async getDevices() {
@@ -31,8 +226,20 @@ module.exports = class SpotifyConnectOAuth2Client extends OAuth2Client {
   }
 
   async state() {
+    // Without additional_types the item is null while a podcast episode plays
     return this.get({
       path: '/me/player',
+      query: { additional_types: 'track,episode' },
+    });
+  }
+
+  async transferPlayback(deviceId, play = false) {
+    return this.put({
+      path: '/me/player',
+      json: {
+        'device_ids': [deviceId],
+        'play': play,
+      }
     });
   }
 
@@ -106,45 +313,272 @@ module.exports = class SpotifyConnectOAuth2Client extends OAuth2Client {
     });
   }
 
-  async search(query, type = 'track', limit = 10, offset = 0, market = null) {
+  async seek(deviceId, positionMs) {
+    return this.put({
+      path: '/me/player/seek',
+      query: {
+        'device_id': deviceId,
+        'position_ms': Math.max(0, Math.round(positionMs))
+      }
+    });
+  }
+
+  async search(query, type = 'track', limit = 10, offset = 0, { market = null, debounceKey = null } = {}) {
+    // Only searches of the same caller, like one autocomplete field or widget, replace each other.
+    // A replaced search resolves to null
+    if (debounceKey && !await this._debounceSearch(debounceKey)) {
+      return null;
+    }
+
     const params = {
       q: query,
       type: type,
       limit: limit,
       offset: offset,
+      market: market || await this.getMarket(),
     };
-    if (market) {
-      params.market = market;
-    }
-    return this.get({
+
+    const key = [query.trim().toLowerCase(), type, params.market, offset, limit].join('|');
+
+    return this.searchCache.get(key, () => this.get({
       path: '/search',
       query: params,
+    }), { log: (...args) => this.log(...args) });
+  }
+
+  _debounceSearch(channel) {
+    const pending = this._pendingSearches.get(channel);
+
+    if (pending) {
+      clearTimeout(pending.timeout);
+      pending.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        this._pendingSearches.delete(channel);
+        resolve(true);
+      }, SEARCH_DEBOUNCE);
+
+      this._pendingSearches.set(channel, { resolve, timeout });
     });
   }
 
-  async playTrack(deviceId, trackUri) {
+  async playTrack(deviceId, trackUri, { positionMs } = {}) {
+    const json = { uris: [trackUri] };
+    if (positionMs) {
+      json.position_ms = positionMs;
+    }
     return this.put({
       path: '/me/player/play',
       query: { device_id: deviceId },
-      json: { uris: [trackUri] }
+      json: json
     });
   }
 
-  async playContext(deviceId, contextUri) {
+  async playContext(deviceId, contextUri, { offset, positionMs } = {}) {
+    const json = { context_uri: contextUri };
+    if (offset) {
+      json.offset = offset;
+    }
+    if (positionMs) {
+      json.position_ms = positionMs;
+    }
+    return this.put({
+      path: '/me/player/play',
+      query: { device_id: deviceId },
+      json: json
+    });
+  }
+
+  async playTracks(deviceId, trackUris) {
     return this.put({
       path: '/me/player/play',
       query: { device_id: deviceId },
-      json: { context_uri: contextUri }
+      json: { uris: trackUris }
     });
   }
 
-  async getMyPlaylists(limit = 50) {
+  async getMyPlaylists(limit = 50, offset = 0) {
     return this.get({
       path: '/me/playlists',
+      query: { limit, offset }
+    });
+  }
+
+  async getAllMyPlaylists() {
+    const playlists = [];
+    let offset = 0;
+    let page;
+
+    do {
+      page = await this.getMyPlaylists(50, offset);
+      playlists.push(...page.items);
+      offset += page.items.length;
+    } while (page.next && page.items.length);
+
+    return playlists;
+  }
+
+  async getCachedPlaylists() {
+    if (!this._playlists || this._playlists.expiresAt <= Date.now()) {
+      const promise = this.getAllMyPlaylists().catch((err) => {
+        if (this._playlists?.promise === promise) this._playlists = null;
+        throw err;
+      });
+
+      this._playlists = { promise, expiresAt: Date.now() + PLAYLISTS_TTL };
+    }
+
+    return this._playlists.promise;
+  }
+
+  async getSavedTracks(limit = 50, offset = 0) {
+    return this.get({
+      path: '/me/tracks',
+      query: { limit, offset }
+    });
+  }
+
+  async getTopItems(type = 'tracks', timeRange = 'medium_term', limit = 50) {
+    return this.get({
+      path: `/me/top/${type}`,
+      query: { time_range: timeRange, limit }
+    });
+  }
+
+  async getRecentlyPlayed(limit = 50) {
+    return this.get({
+      path: '/me/player/recently-played',
       query: { limit }
     });
   }
 
+  async saveTracks(ids) {
+    return this.put({
+      path: '/me/tracks',
+      query: { ids: ids.join(',') }
+    });
+  }
+
+  async removeTracks(ids) {
+    return this.delete({
+      path: '/me/tracks',
+      query: { ids: ids.join(',') }
+    });
+  }
+
+  async containsTracks(ids) {
+    return this.get({
+      path: '/me/tracks/contains',
+      query: { ids: ids.join(',') }
+    });
+  }
+
+  async addToPlaylist(playlistId, uris) {
+    const result = await this.post({
+      path: `/playlists/${playlistId}/tracks`,
+      json: { uris }
+    });
+
+    // The track counts in the cached list are stale now
+    this._playlists = null;
+
+    return result;
+  }
+
+  async getArtist(artistId) {
+    return this.get({
+      path: `/artists/${artistId}`,
+    });
+  }
+
+  async getRecommendations(params) {
+    return this._getRecommendations('/recommendations', params);
+  }
+
+  async getAvailableGenreSeeds() {
+    // The list rarely changes, so one request per session is enough
+    if (!this._genreSeeds) {
+      this._genreSeeds = this._getRecommendations('/recommendations/available-genre-seeds')
+        .then(({ genres }) => genres || [])
+        .catch((err) => {
+          this._genreSeeds = null;
+          throw err;
+        });
+    }
+
+    return this._genreSeeds;
+  }
+
+  async _getRecommendations(path, query = {}) {
+    try {
+      return await this.get({ path, query });
+    } catch (error) {
+      // Spotify apps created after November 2024 get a 404 here
+      if (error.status === 404) {
+        throw this._createError(RadioUnavailableError, { status: error.status, reason: error.reason });
+      }
+
+      throw error;
+    }
+  }
+
+  async getShow(showId) {
+    return this.get({
+      path: `/shows/${showId}`,
+      query: { market: await this.getMarket() }
+    });
+  }
+
+  async getShowEpisodes(showId, limit = 50, offset = 0) {
+    return this.get({
+      path: `/shows/${showId}/episodes`,
+      query: { limit, offset, market: await this.getMarket() }
+    });
+  }
+
+  async getQueue() {
+    return this.get({
+      path: '/me/player/queue',
+    });
+  }
+
+  async getAlbum(albumId) {
+    return this.get({
+      path: `/albums/${albumId}`,
+      query: { market: await this.getMarket() }
+    });
+  }
+
+  async getArtistTopTracks(artistId) {
+    return this.get({
+      path: `/artists/${artistId}/top-tracks`,
+      query: { market: await this.getMarket() }
+    });
+  }
+
+  async getArtistAlbums(artistId, limit = 20, offset = 0) {
+    return this.get({
+      path: `/artists/${artistId}/albums`,
+      query: { include_groups: 'album,single', limit, offset }
+    });
+  }
+
+  async getAlbumTracks(albumId, limit = 50, offset = 0) {
+    return this.get({
+      path: `/albums/${albumId}/tracks`,
+      query: { limit, offset }
+    });
+  }
+
+  async getPlaylistTracks(playlistId, limit = 50, offset = 0) {
+    return this.get({
+      path: `/playlists/${playlistId}/tracks`,
+      query: { limit, offset }
+    });
+  }
+
   async addToQueue(deviceId, uri) {
     return this.post({
       path: '/me/player/queue',
@@ -161,7 +595,7 @@ module.exports = class SpotifyConnectOAuth2Client extends OAuth2Client {
       await this.next(deviceId);
     } catch (error) {
       // Queue API requires active playback - fall back to direct play
-      if (error.status === 404 || error.statusCode === 404) {
+      if (error instanceof NoActiveDeviceError) {
         await this.playTrack(deviceId, uri);
       } else {
         throw error;
@@ -0,0 +1,100 @@
+'use strict';
+
+/*
+  Turns the devices list and /me/player response into one "now playing" model.
+  Spotify leaves out parts of the item for ads, local files and private
+  sessions, or returns no playback at all, so every field has a fallback.
+*/
+
+const EMPTY_ITEM = {
+  track: '',
+  artist: '',
+  album: '',
+  image: null,
+};
+
+function firstImage(...imageLists) {
+  return imageLists
+    .flatMap(images => (Array.isArray(images) ? images : []))
+    .find(image => image?.url)?.url || null;
+}
+
+function names(items) {
+  return (Array.isArray(items) ? items : [])
+    .map(item => item?.name)
+    .filter(Boolean);
+}
+
+function describeItem(item) {
+  if (!item) {
+    return { ...EMPTY_ITEM };
+  }
+
+  // Podcast episodes have a show instead of artists and an album
+  if (item.type === 'episode') {
+    return {
+      track: item.name || '',
+      artist: item.show?.publisher || '',
+      album: item.show?.name || '',
+      image: firstImage(item.images, item.show?.images),
+    };
+  }
+
+  // Local files have no album art, and artists and albums without an id
+  return {
+    track: item.name || '',
+    artist: names(item.artists).join(' & '),
+    album: item.album?.name || '',
+    image: firstImage(item.album?.images),
+  };
+}
+
+function repeatMode(repeatState) {
+  return repeatState === 'track' ? 'track' : (repeatState === 'context' ? 'playlist' : 'none');
+}
+
+function itemType(state) {
+  if (!state) return null;
+
+  // Ads and some private session content come without an item
+  if (!state.item) {
+    return state.currently_playing_type === 'ad' ? 'ad' : null;
+  }
+
+  return state.item.type === 'episode' ? 'episode' : 'track';
+}
+
+/*
+  `device` is the Spotify device this Homey device controls, `state` the
+  playback of the account, which only applies while that device is active.
+*/
+function fromPlayback({ device, state, fetchedAt = Date.now() }) {
+  const active = !!device?.is_active;
+  const playback = active ? state || null : null;
+  const item = playback?.item || null;
+  const type = itemType(playback);
+
+  return {
+    active,
+    // Nothing is loaded: no playback, or playback without anything to describe
+    idle: type === null,
+    // Idle reads as paused, so play resumes whatever Spotify has left
+    playing: !!playback?.is_playing && type !== null,
+    type,
+    local: !!item?.is_local,
+    shuffle: !!playback?.shuffle_state,
+    repeat: repeatMode(playback?.repeat_state),
+    volume: typeof device?.volume_percent === 'number' ? device.volume_percent : null,
+    trackUri: item?.uri || null,
+    ...describeItem(item),
+    progressMs: item ? playback.progress_ms || 0 : 0,
+    durationMs: item?.duration_ms || 0,
+    fetchedAt,
+  };
+}
+
+module.exports = {
+  describeItem,
+  repeatMode,
+  fromPlayback,
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+const { OAuth2Token } = require('homey-oauth2app');
+
+module.exports = class SpotifyOAuth2Token extends OAuth2Token {
+
+  constructor({ scope, ...props }) {
+    super(props);
+
+    // Spotify returns the granted scopes with every token and refresh response
+    this.scope = scope || null;
+  }
+
+  getScopes() {
+    return this.scope ? this.scope.split(' ') : null;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      scope: this.scope,
+    };
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+'use strict';
+
+const { RateLimitedError } = require('./SpotifyApiErrors');
+
+const PLAYING_INTERVAL = 1000 * 10;
+const IDLE_INTERVAL = 1000 * 30;
+const TRACK_END_MARGIN = 1000;
+const MAX_BACKOFF = 1000 * 60 * 5;
+
+/*
+  Polls /me/player and /me/player/devices once per OAuth session and fans
+  the result out to every subscribed device.
+*/
+module.exports = class SpotifyPlaybackPoller {
+
+  constructor({ client }) {
+    this.client = client;
+    this.subscribers = new Set();
+    this.latest = null;
+    this.failures = 0;
+    this.retryAt = 0;
+  }
+
+  subscribe(subscriber) {
+    this.subscribers.add(subscriber);
+
+    if (this.latest) {
+      this._notify(subscriber, 'onPlaybackUpdate', this.latest);
+    }
+
+    if (!this._timeout && !this._polling) {
+      this.refresh().catch(() => {});
+    }
+  }
+
+  unsubscribe(subscriber) {
+    this.subscribers.delete(subscriber);
+
+    if (this.subscribers.size === 0) {
+      this.stop();
+    }
+  }
+
+  async getLatest(maxAge) {
+    if (this.latest && Date.now() - this.latest.fetchedAt <= maxAge) {
+      return this.latest;
+    }
+
+    return this.refresh();
+  }
+
+  refresh() {
+    // Don't hammer the API while Spotify asked us to back off
+    if (this.retryAt > Date.now()) {
+      return this.latest ? Promise.resolve(this.latest) : Promise.reject(this.lastError);
+    }
+
+    // Coalesce concurrent refreshes into a single request pair
+    if (!this._polling) {
+      this._polling = this._poll().finally(() => {
+        this._polling = null;
+      });
+    }
+
+    return this._polling;
+  }
+
+  stop() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+  }
+
+  async _poll() {
+    this.stop();
+
+    try {
+      const [devices, state] = await Promise.all([
+        this.client.getDevices(),
+        this.client.state(),
+      ]);
+
+      this.latest = {
+        devices: devices?.devices || [],
+        state: state || null,
+        fetchedAt: Date.now(),
+      };
+      this.failures = 0;
+
+      this.subscribers.forEach((subscriber) => this._notify(subscriber, 'onPlaybackUpdate', this.latest));
+      this._schedule(this._nextDelay(this.latest.state));
+
+      return this.latest;
+    } catch (err) {
+      this.failures++;
+      this.lastError = err;
+
+      const delay = this._backoffDelay(err);
+
+      if (err instanceof RateLimitedError) {
+        this.retryAt = Date.now() + delay;
+      }
+
+      this.subscribers.forEach((subscriber) => this._notify(subscriber, 'onPlaybackError', err));
+      this._schedule(delay);
+
+      throw err;
+    }
+  }
+
+  _schedule(delay) {
+    if (this.subscribers.size === 0) return;
+
+    this.stop();
+    this._timeout = setTimeout(() => {
+      this._timeout = null;
+      this.refresh().catch(() => {});
+    }, delay);
+  }
+
+  _nextDelay(state) {
+    if (!state || !state.is_playing) {
+      return IDLE_INTERVAL;
+    }
+
+    // Poll right after the track ends so the next track shows up quickly
+    const remaining = (state.item?.duration_ms || 0) - (state.progress_ms || 0);
+
+    if (remaining > 0 && remaining < PLAYING_INTERVAL) {
+      return remaining + TRACK_END_MARGIN;
+    }
+
+    return PLAYING_INTERVAL;
+  }
+
+  _backoffDelay(err) {
+    if (err instanceof RateLimitedError) {
+      return (err.retryAfter || 1) * 1000;
+    }
+
+    return Math.min(IDLE_INTERVAL * 2 ** (this.failures - 1), MAX_BACKOFF);
+  }
+
+  _notify(subscriber, method, arg) {
+    try {
+      subscriber[method](arg);
+    } catch (err) {
+      this.client.error(err);
+    }
+  }
+
+}
\ No newline at end of file
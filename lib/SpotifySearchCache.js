@@ -0,0 +1,74 @@
+'use strict';
+
+/*
+  Small LRU cache for search results. Entries expire after a short TTL, and
+  concurrent lookups of the same key share a single request.
+*/
+module.exports = class SpotifySearchCache {
+
+  constructor({ maxEntries = 200, ttl = 1000 * 60 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async get(key, fetch, { log = () => {} } = {}) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move the entry to the end, so the least recently used entry is evicted first
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.hits++;
+      log(`Search cache hit for "${key}" (hits: ${this.hits}, misses: ${this.misses})`);
+      return entry.value;
+    }
+
+    this.entries.delete(key);
+
+    if (this.inFlight.has(key)) {
+      this.hits++;
+      log(`Search cache joined request for "${key}" (hits: ${this.hits}, misses: ${this.misses})`);
+      return this.inFlight.get(key);
+    }
+
+    this.misses++;
+    log(`Search cache miss for "${key}" (hits: ${this.hits}, misses: ${this.misses})`);
+
+    const request = Promise.resolve()
+      .then(fetch)
+      .then((value) => {
+        // Nothing is cached for requests that were skipped
+        if (value !== null && value !== undefined) {
+          this._set(key, value);
+        }
+        return value;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, request);
+
+    return request;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  _set(key, value) {
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + this.ttl,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+}
\ No newline at end of file
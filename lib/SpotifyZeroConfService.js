@@ -0,0 +1,399 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { Bonjour } = require('bonjour-service');
+const { fetch } = require('homey-oauth2app');
+
+const SERVICE_TYPE = 'spotify-connect';
+const CPATH = '/zc';
+const ZEROCONF_VERSION = '2.7.1';
+const STATUS_OK = 101;
+// Pairing mode advertises Homey as a speaker, so it shouldn't stay visible forever
+const PAIRING_TIMEOUT = 1000 * 60 * 2;
+const REQUEST_TIMEOUT = 1000 * 5;
+
+const CREDENTIALS_KEY = 'zeroconfCredentials';
+const DEVICE_ID_KEY = 'zeroconfDeviceId';
+
+/*
+  Spotify encodes a big-endian number without leading zeros, while Node pads
+  DH values to the length of the prime.
+*/
+function stripLeadingZeros(buffer) {
+  let start = 0;
+  while (start < buffer.length - 1 && buffer[start] === 0) {
+    start++;
+  }
+  return buffer.subarray(start);
+}
+
+function hmacSha1(key, data) {
+  return crypto.createHmac('sha1', key).update(data).digest();
+}
+
+function createKeys() {
+  // Spotify uses the 768-bit Oakley group 1 with generator 2
+  const dh = crypto.getDiffieHellman('modp1');
+  dh.generateKeys();
+  return dh;
+}
+
+function blobKeys(dh, remotePublicKey) {
+  const sharedKey = stripLeadingZeros(dh.computeSecret(remotePublicKey));
+  const baseKey = crypto.createHash('sha1').update(sharedKey).digest().subarray(0, 16);
+
+  return {
+    checksumKey: hmacSha1(baseKey, 'checksum'),
+    encryptionKey: hmacSha1(baseKey, 'encryption').subarray(0, 16),
+  };
+}
+
+/*
+  Outer layer of an addUser blob: AES-128-CTR with a key from the DH
+  exchange, prefixed with the IV and followed by an HMAC-SHA1 checksum.
+*/
+function decryptBlob(dh, clientKey, blob) {
+  const encryptedBlob = Buffer.from(blob, 'base64');
+  const iv = encryptedBlob.subarray(0, 16);
+  const encrypted = encryptedBlob.subarray(16, encryptedBlob.length - 20);
+  const checksum = encryptedBlob.subarray(encryptedBlob.length - 20);
+  const { checksumKey, encryptionKey } = blobKeys(dh, Buffer.from(clientKey, 'base64'));
+
+  if (encryptedBlob.length < 36 || !hmacSha1(checksumKey, encrypted).equals(checksum)) {
+    throw new Error('Invalid blob checksum');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', encryptionKey, iv);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString();
+}
+
+function encryptBlob(dh, remotePublicKey, data) {
+  const iv = crypto.randomBytes(16);
+  const { checksumKey, encryptionKey } = blobKeys(dh, remotePublicKey);
+  const cipher = crypto.createCipheriv('aes-128-ctr', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return Buffer.concat([iv, encrypted, hmacSha1(checksumKey, encrypted)]).toString('base64');
+}
+
+/*
+  Inner layer: the credentials are encrypted for the device ID that received
+  them, so waking another speaker means encrypting them again for its ID.
+*/
+function credentialsKey(deviceId, userName) {
+  const secret = crypto.createHash('sha1').update(deviceId).digest();
+  const derived = crypto.pbkdf2Sync(secret, userName, 0x100, 20, 'sha1');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(20);
+
+  return Buffer.concat([crypto.createHash('sha1').update(derived).digest(), length]);
+}
+
+function rebindCredentials(blob, userName, fromDeviceId, toDeviceId) {
+  const decipher = crypto.createDecipheriv('aes-192-ecb', credentialsKey(fromDeviceId, userName), null);
+  decipher.setAutoPadding(false);
+  const data = Buffer.concat([decipher.update(Buffer.from(blob, 'base64')), decipher.final()]);
+
+  const cipher = crypto.createCipheriv('aes-192-ecb', credentialsKey(toDeviceId, userName), null);
+  cipher.setAutoPadding(false);
+
+  return Buffer.concat([cipher.update(data), cipher.final()]).toString('base64');
+}
+
+/*
+  Finds Spotify Connect speakers on the LAN and wakes them through their local
+  ZeroConf endpoint, which works when the Web API no longer lists them. The
+  credentials for that are captured once, by advertising Homey as a speaker
+  and selecting it in a Spotify app.
+*/
+module.exports = class SpotifyZeroConfService {
+
+  constructor({ app }) {
+    this.app = app;
+    this.homey = app.homey;
+    this.discovered = new Map();
+    this.pairing = null;
+  }
+
+  start() {
+    this.bonjour = new Bonjour({}, (err) => this.app.error('mDNS error', err));
+    this.browser = this.bonjour.find({ type: SERVICE_TYPE }, (service) => this._onServiceUp(service));
+    this.browser.on('down', (service) => this.discovered.delete(service.fqdn));
+  }
+
+  async stop() {
+    await this.stopPairing();
+
+    if (this.bonjour) {
+      this.browser.stop();
+      this.bonjour.destroy();
+      this.bonjour = null;
+    }
+
+    this.discovered.clear();
+  }
+
+  getDiscoveredDevices() {
+    return [...this.discovered.values()]
+      .filter((device) => device.id !== this.getDeviceId())
+      .map(({ id, name, address, port, activeUser }) => ({ id, name, address, port, activeUser }));
+  }
+
+  refresh() {
+    this.browser?.update();
+  }
+
+  getDeviceId() {
+    let deviceId = this.homey.settings.get(DEVICE_ID_KEY);
+
+    // Credentials are bound to this ID, so it never changes once created
+    if (!deviceId) {
+      deviceId = crypto.randomBytes(20).toString('hex');
+      this.homey.settings.set(DEVICE_ID_KEY, deviceId);
+    }
+
+    return deviceId;
+  }
+
+  getCredentials() {
+    return this.homey.settings.get(CREDENTIALS_KEY) || null;
+  }
+
+  getPairingStatus() {
+    const credentials = this.getCredentials();
+
+    return {
+      pairing: !!this.pairing,
+      expiresAt: this.pairing?.expiresAt || null,
+      hasCredentials: !!credentials,
+      userName: credentials?.userName || null,
+    };
+  }
+
+  async startPairing({ name = 'Homey', timeout = PAIRING_TIMEOUT } = {}) {
+    await this.stopPairing();
+
+    // Discovery failed to start, without mDNS no Spotify app would find Homey
+    if (!this.bonjour) {
+      throw new Error(this.homey.__('errors.zeroconf_unavailable'));
+    }
+
+    const pairing = {
+      name,
+      dh: createKeys(),
+      expiresAt: Date.now() + timeout,
+    };
+
+    pairing.server = http.createServer((req, res) => {
+      this._onPairingRequest(pairing, req, res).catch((err) => {
+        this.app.error('ZeroConf request failed', err);
+        this._respond(res, 400, { status: 402, spotifyError: 0, statusString: 'ERROR-BAD-REQUEST' });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      pairing.server.once('error', reject);
+      pairing.server.listen(0, resolve);
+    });
+
+    pairing.service = this.bonjour.publish({
+      name,
+      type: SERVICE_TYPE,
+      port: pairing.server.address().port,
+      txt: { VERSION: '1.0', CPath: CPATH, Stack: 'SP' },
+    });
+    pairing.timeout = setTimeout(() => {
+      this.app.log('ZeroConf pairing timed out');
+      this.stopPairing().catch(this.app.error);
+    }, timeout);
+
+    this.pairing = pairing;
+    this.app.log(`ZeroConf pairing started on port ${pairing.server.address().port}`);
+
+    return this.getPairingStatus();
+  }
+
+  async stopPairing() {
+    const { pairing } = this;
+
+    if (!pairing) return this.getPairingStatus();
+
+    this.pairing = null;
+    clearTimeout(pairing.timeout);
+
+    await new Promise((resolve) => pairing.service.stop(resolve));
+    await new Promise((resolve) => pairing.server.close(() => resolve()));
+
+    return this.getPairingStatus();
+  }
+
+  clearCredentials() {
+    this.homey.settings.unset(CREDENTIALS_KEY);
+  }
+
+  async getInfo({ address, port, path = CPATH }) {
+    const response = await fetch(`http://${address}:${port}${path}?action=getInfo`, {
+      timeout: REQUEST_TIMEOUT,
+    });
+
+    if (!response.ok) {
+      throw new Error(`getInfo failed with ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async wakeDevice(idOrName) {
+    const credentials = this.getCredentials();
+
+    if (!credentials) {
+      throw new Error(this.homey.__('errors.zeroconf_no_credentials'));
+    }
+
+    const device = this._findDiscovered(idOrName);
+
+    if (!device) {
+      throw new Error(this.homey.__('errors.zeroconf_device_not_found'));
+    }
+
+    const info = await this.getInfo(device);
+
+    if (info.activeUser === credentials.userName) {
+      this.app.log(`ZeroConf device ${device.name} already has ${credentials.userName} logged in`);
+      return;
+    }
+
+    const dh = createKeys();
+    const blob = encryptBlob(
+      dh,
+      Buffer.from(info.publicKey, 'base64'),
+      rebindCredentials(credentials.blob, credentials.userName, credentials.deviceId, info.deviceID),
+    );
+
+    const response = await fetch(`http://${device.address}:${device.port}${device.path}`, {
+      method: 'POST',
+      timeout: REQUEST_TIMEOUT,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        action: 'addUser',
+        userName: credentials.userName,
+        blob,
+        clientKey: dh.getPublicKey('base64'),
+        tokenType: 'default',
+        deviceName: 'Homey',
+        deviceId: this.getDeviceId(),
+        version: ZEROCONF_VERSION,
+      }).toString(),
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || result.status !== STATUS_OK) {
+      throw new Error(this.homey.__('errors.zeroconf_wake_failed', { status: result.statusString || response.status }));
+    }
+
+    this.app.log(`ZeroConf woke ${device.name}`);
+  }
+
+  _findDiscovered(idOrName) {
+    const query = String(idOrName || '').toLowerCase();
+
+    return [...this.discovered.values()].find((device) => device.id === idOrName || device.name.toLowerCase() === query);
+  }
+
+  _onServiceUp(service) {
+    const address = (service.addresses || []).find((address) => address.includes('.')) || service.referer?.address;
+
+    if (!address) return;
+
+    const device = {
+      id: null,
+      name: service.name,
+      address,
+      port: service.port,
+      path: service.txt?.CPath || service.txt?.cpath || CPATH,
+      activeUser: '',
+    };
+
+    this.discovered.set(service.fqdn, device);
+
+    // Speakers advertise a short name, getInfo has the device ID and display name
+    this.getInfo(device)
+      .then((info) => {
+        device.id = info.deviceID || null;
+        device.name = info.remoteName || device.name;
+        device.activeUser = info.activeUser || '';
+      })
+      .catch((err) => this.app.log(`ZeroConf getInfo failed for ${device.name}: ${err.message}`));
+  }
+
+  async _onPairingRequest(pairing, req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const params = new URLSearchParams(req.method === 'POST' ? await this._readBody(req) : url.search);
+    const action = params.get('action') || url.searchParams.get('action');
+
+    if (action === 'getInfo') {
+      const credentials = this.getCredentials();
+
+      return this._respond(res, 200, {
+        status: STATUS_OK,
+        statusString: 'ERROR-OK',
+        spotifyError: 0,
+        version: ZEROCONF_VERSION,
+        deviceID: this.getDeviceId(),
+        remoteName: pairing.name,
+        activeUser: credentials?.userName || '',
+        publicKey: pairing.dh.getPublicKey('base64'),
+        deviceType: 'SPEAKER',
+        libraryVersion: '1.0.0',
+        accountReq: 'PREMIUM',
+        brandDisplayName: 'Athom',
+        modelDisplayName: 'Homey',
+        voiceSupport: 'NO',
+        availability: '',
+        productID: 0,
+        tokenType: 'default',
+        groupStatus: 'NONE',
+        resolverVersion: '0',
+        scope: 'streaming,client-authorization-universal',
+      });
+    }
+
+    if (action === 'addUser') {
+      const userName = params.get('userName');
+      const blob = decryptBlob(pairing.dh, params.get('clientKey'), params.get('blob'));
+
+      this.homey.settings.set(CREDENTIALS_KEY, {
+        userName,
+        blob,
+        deviceId: this.getDeviceId(),
+      });
+      this.app.log(`ZeroConf credentials received for ${userName}`);
+
+      this._respond(res, 200, { status: STATUS_OK, spotifyError: 0, statusString: 'ERROR-OK' });
+
+      // One set of credentials is all we need
+      return this.stopPairing();
+    }
+
+    return this._respond(res, 400, { status: 402, spotifyError: 0, statusString: 'ERROR-BAD-REQUEST' });
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      req.on('error', reject);
+    });
+  }
+
+  _respond(res, status, body) {
+    if (res.headersSent) return;
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+}
\ No newline at end of file
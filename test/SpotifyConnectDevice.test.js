@@ -0,0 +1,368 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey, createDevice, flushPromises } = require('./support/homey');
+const { MockSpotifyApi, createClient, fixture, error } = require('./support/spotify-api');
+const SpotifyConnectDevice = require('../drivers/spotify-connect/device');
+const { NoActiveDeviceError } = require('../lib/SpotifyApiErrors');
+
+const DEVICE_ID = '4d9a1c0e2b7f';
+
+// Runs a sync the way the capability listeners do, and waits for the device to process it
+async function sync(device) {
+  device._sync();
+  await device.oAuth2Client.poller.refresh();
+  await flushPromises();
+}
+
+describe('SpotifyConnectDevice', () => {
+  const api = new MockSpotifyApi();
+  let runtime;
+  let device;
+
+  before(() => api.start());
+  after(() => api.stop());
+
+  beforeEach(async () => {
+    api.reset();
+    api
+      .route('GET', '/me/player/devices', 'devices')
+      .route('GET', '/me/player', 'player-track');
+
+    runtime = createHomey();
+
+    const client = await createClient({ homey: runtime.homey, api });
+
+    device = await createDevice(SpotifyConnectDevice, {
+      ...runtime,
+      client,
+      name: 'Living room',
+      data: { id: DEVICE_ID },
+      store: { spotifyName: 'Living room', spotifyType: 'Speaker' },
+    });
+
+    // Let the first poll, started by subscribing, finish before routes change
+    await client.poller.refresh();
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    device.oAuth2Client.poller.unsubscribe(device);
+  });
+
+  describe('repeatMode', () => {
+    for (const [repeatState, mode] of [['off', 'none'], ['track', 'track'], ['context', 'playlist']]) {
+      it(`maps "${repeatState}" to "${mode}"`, () => {
+        assert.equal(device.repeatMode(repeatState), mode);
+      });
+    }
+
+    it('sends the next repeat mode when the capability is toggled', async () => {
+      api.route('PUT', '/me/player/repeat', { status: 204 });
+      await sync(device);
+
+      // The fixture repeats the album, so the next mode is "none"
+      await device.triggerCapabilityListener('speaker_repeat', null);
+
+      assert.equal(api.requestsTo('PUT', '/me/player/repeat')[0].query.state, 'off');
+    });
+  });
+
+  describe('_sync', () => {
+    it('shows the playing track', async () => {
+      await sync(device);
+
+      assert.equal(device.available, true);
+      assert.equal(device.getCapabilityValue('speaker_playing'), true);
+      assert.equal(device.getCapabilityValue('speaker_track'), 'The Funeral');
+      assert.equal(device.getCapabilityValue('speaker_artist'), 'Band of Horses');
+      assert.equal(device.getCapabilityValue('speaker_album'), 'Everything All the Time');
+      assert.equal(device.getCapabilityValue('speaker_repeat'), 'playlist');
+      assert.equal(device.image.url, 'https://i.scdn.co/image/ab67616d0000b273-640');
+    });
+
+    it('triggers track_changed when the next track starts', async () => {
+      await sync(device);
+
+      const next = fixture('player-track');
+      next.item = { ...next.item, name: 'Wicked Gil', uri: 'spotify:track:1lVfvxvvXeYtxWA0bbmbEn' };
+      api.route('GET', '/me/player', { status: 200, body: next });
+
+      await sync(device);
+
+      const triggered = runtime.homey.flow.triggers.filter(({ cardId }) => cardId === 'track_changed');
+      assert.equal(triggered.length, 1);
+      assert.equal(triggered[0].tokens.track_name, 'Wicked Gil');
+      assert.equal(triggered[0].tokens.track_uri, 'spotify:track:1lVfvxvvXeYtxWA0bbmbEn');
+    });
+
+    it('triggers volume_changed only for a reported volume', async () => {
+      const { devices } = fixture('devices');
+      const volumes = [null, 55];
+
+      api.route('GET', '/me/player/devices', () => ({
+        status: 200,
+        body: { devices: devices.map(d => (d.id === DEVICE_ID ? { ...d, volume_percent: volumes[0] } : d)) },
+      }));
+
+      await sync(device);
+      volumes.shift();
+      await sync(device);
+
+      const triggered = runtime.homey.flow.triggers.filter(({ cardId }) => cardId === 'volume_changed');
+      assert.deepEqual(triggered.map(({ tokens }) => tokens.volume), [55]);
+    });
+
+    it('stays available and idle when playback has no item', async () => {
+      await sync(device);
+
+      api.route('GET', '/me/player', 'player-no-item');
+      await sync(device);
+
+      assert.equal(device.available, true);
+      assert.equal(device.getCapabilityValue('speaker_playing'), false);
+      assert.equal(device.getCapabilityValue('speaker_track'), '');
+      assert.equal(device.getCapabilityValue('speaker_artist'), '');
+      assert.equal(device.getCapabilityValue('speaker_album'), '');
+      assert.equal(device.image.path, '/assets/images/large.jpg');
+      assert.equal(device.getNowPlaying().idle, true);
+
+      // Going idle is not a track change
+      assert.equal(runtime.homey.flow.triggers.some(({ cardId }) => cardId === 'track_changed'), false);
+    });
+
+    it('stays available and idle when the active device has no playback', async () => {
+      api.route('GET', '/me/player', { status: 204 });
+
+      await sync(device);
+
+      assert.equal(device.available, true);
+      assert.equal(device.getCapabilityValue('speaker_playing'), false);
+      assert.equal(device.getNowPlaying().idle, true);
+    });
+
+    it('shows a placeholder image during an ad', async () => {
+      await sync(device);
+
+      api.route('GET', '/me/player', 'player-ad');
+      await sync(device);
+
+      assert.equal(device.available, true);
+      assert.equal(device.getCapabilityValue('speaker_playing'), true);
+      assert.equal(device.getCapabilityValue('speaker_track'), '');
+      assert.equal(device.image.path, '/assets/images/large.jpg');
+    });
+
+    it('shows a local file with a placeholder image', async () => {
+      api.route('GET', '/me/player', 'player-local-file');
+
+      await sync(device);
+
+      assert.equal(device.available, true);
+      assert.equal(device.getCapabilityValue('speaker_track'), 'Demo 3 (final)');
+      assert.equal(device.getCapabilityValue('speaker_artist'), 'The Garage Band');
+      assert.equal(device.image.path, '/assets/images/large.jpg');
+    });
+
+    it('shows items without album art, like in a private session, with a placeholder image', async () => {
+      await sync(device);
+
+      const state = fixture('player-track');
+      state.item = { ...state.item, album: { ...state.item.album, images: [] } };
+      api.route('GET', '/me/player', { status: 200, body: state });
+
+      await sync(device);
+
+      assert.equal(device.available, true);
+      assert.equal(device.getCapabilityValue('speaker_track'), 'The Funeral');
+      assert.equal(device.image.path, '/assets/images/large.jpg');
+    });
+
+    it('shows a speaker that is not playing as paused', async () => {
+      const { devices } = fixture('devices');
+      api
+        .route('GET', '/me/player/devices', { status: 200, body: { devices: devices.map(d => ({ ...d, is_active: false })) } })
+        .route('GET', '/me/player', { status: 204 });
+
+      await sync(device);
+
+      assert.equal(device.available, true);
+      assert.equal(device.getCapabilityValue('speaker_playing'), false);
+      assert.deepEqual(device.getNowPlaying(), { active: false });
+    });
+
+    it('marks a speaker that Spotify no longer lists unavailable', async () => {
+      api
+        .route('GET', '/me/player/devices', { status: 200, body: { devices: [] } })
+        .route('GET', '/me/player', { status: 204 });
+
+      await sync(device);
+
+      assert.equal(device.available, false);
+    });
+  });
+
+  describe('currentPlayback', () => {
+    it('returns the playback of this device', async () => {
+      const state = await device.currentPlayback();
+
+      assert.equal(state.item.name, 'The Funeral');
+    });
+
+    it('refuses playback on another device of the account', async () => {
+      const state = fixture('player-track');
+      state.device = { ...state.device, id: '8e21f6b3c5d0', name: 'Kitchen' };
+      api.route('GET', '/me/player', { status: 200, body: state });
+
+      await assert.rejects(device.currentPlayback(), NoActiveDeviceError);
+    });
+  });
+
+  describe('restoreSnapshot', () => {
+    const TRACK_URI = 'spotify:track:4uLU6hMCjMI75M1A2tKUQC';
+
+    beforeEach(async () => {
+      api
+        .route('PUT', '/me/player/volume', { status: 204 })
+        .route('PUT', '/me/player/play', { status: 204 })
+        .route('PUT', '/me/player/shuffle', { status: 204 })
+        .route('PUT', '/me/player/repeat', { status: 204 });
+
+      await device.setStoreValue('playbackSnapshot', {
+        deviceId: DEVICE_ID,
+        contextUri: null,
+        trackUri: TRACK_URI,
+        positionMs: 61000,
+        volume: 0.3,
+        shuffle: false,
+        repeat: 'none',
+        playing: true,
+      });
+    });
+
+    it('plays from the saved position after restoring the volume', async () => {
+      await device.restoreSnapshot();
+
+      const commands = api.requests
+        .filter(request => request.method === 'PUT')
+        .map(request => request.path);
+      assert.deepEqual(commands.slice(0, 2), ['/me/player/volume', '/me/player/play']);
+      assert.equal(api.requestsTo('PUT', '/me/player/volume')[0].query.volume_percent, '30');
+      assert.deepEqual(api.requestsTo('PUT', '/me/player/play')[0].body, { uris: [TRACK_URI], position_ms: 61000 });
+      assert.equal(api.requestsTo('PUT', '/me/player/seek').length, 0);
+    });
+
+    it('restores the volume after playing when no device is active yet', async () => {
+      let volumeRequests = 0;
+      api.route('PUT', '/me/player/volume', () => (volumeRequests++
+        ? { status: 204 }
+        : error(404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE')));
+
+      await device.restoreSnapshot();
+
+      const commands = api.requests
+        .filter(request => request.method === 'PUT')
+        .map(request => request.path);
+      assert.deepEqual(commands.slice(0, 3), ['/me/player/volume', '/me/player/play', '/me/player/volume']);
+    });
+  });
+
+  describe('startRadio', () => {
+    const ARTIST_ID = '0OdUWJ0sBjDrqHygGUXeCF';
+
+    beforeEach(() => {
+      api
+        .route('GET', '/recommendations/available-genre-seeds', { status: 200, body: { genres: ['indie', 'indie-folk', 'rock'] } })
+        .route('GET', '/recommendations', { status: 200, body: { tracks: [{ uri: 'spotify:track:1lVfvxvvXeYtxWA0bbmbEn' }] } })
+        .route('PUT', '/me/player/play', { status: 204 });
+    });
+
+    it('seeds with the artist genres that Spotify has seeds for', async () => {
+      api.route('GET', `/artists/${ARTIST_ID}`, { status: 200, body: { id: ARTIST_ID, genres: ['Indie Folk', 'indie folk', 'modern folk rock', 'rock'] } });
+
+      await device.startRadio(DEVICE_ID, 'genre');
+
+      const [request] = api.requestsTo('GET', '/recommendations');
+      assert.equal(request.query.seed_genres, 'indie-folk,rock');
+      assert.equal(request.query.seed_artists, undefined);
+    });
+
+    it('seeds with the artist when none of the genres have seeds', async () => {
+      api.route('GET', `/artists/${ARTIST_ID}`, { status: 200, body: { id: ARTIST_ID, genres: ['modern folk rock'] } });
+
+      await device.startRadio(DEVICE_ID, 'genre');
+
+      const [request] = api.requestsTo('GET', '/recommendations');
+      assert.equal(request.query.seed_genres, undefined);
+      assert.equal(request.query.seed_artists, ARTIST_ID);
+    });
+
+    it('refuses a local file without asking for recommendations', async () => {
+      api.route('GET', '/me/player', 'player-local-file');
+
+      await assert.rejects(device.startRadio(DEVICE_ID, 'artist'), { message: runtime.homey.__('errors.not_a_track') });
+      assert.equal(api.requestsTo('GET', '/recommendations').length, 0);
+    });
+  });
+
+  describe('setTrackLiked', () => {
+    it('saves the track playing here to the library of another account', async (t) => {
+      api.route('PUT', '/me/tracks', { status: 200 });
+      const other = await createClient({ homey: runtime.homey, api });
+      const saveTracks = t.mock.method(other, 'saveTracks');
+      t.mock.method(device.oAuth2Client, 'saveTracks');
+
+      await device.setTrackLiked(true, other);
+
+      assert.deepEqual(saveTracks.mock.calls[0].arguments, [['4uLU6hMCjMI75M1A2tKUQC']]);
+      assert.equal(device.oAuth2Client.saveTracks.mock.callCount(), 0);
+      assert.deepEqual(api.requestsTo('PUT', '/me/tracks')[0].query, { ids: '4uLU6hMCjMI75M1A2tKUQC' });
+    });
+  });
+
+  describe('sleep timer', () => {
+    it('stops the fade out and puts the volume back when cancelled', async (t) => {
+      api
+        .route('PUT', '/me/player/volume', { status: 204 })
+        .route('PUT', '/me/player/pause', { status: 204 });
+      t.mock.method(device, 'device', async () => ({ id: DEVICE_ID, volume_percent: 40 }));
+
+      device.sleepTimerEndsAt = Date.now() + 200;
+      const finished = device._finishSleepTimer({ mode: 'time', fadeMs: 200 });
+
+      // Let the fade out start
+      await flushPromises();
+      await device.cancelSleepTimer();
+      await finished;
+
+      assert.deepEqual(api.requestsTo('PUT', '/me/player/volume').map(request => request.query.volume_percent), ['40']);
+      assert.equal(api.requestsTo('PUT', '/me/player/pause').length, 0);
+    });
+
+    it('waits for the last track of the album playing', async (t) => {
+      t.mock.method(device, '_scheduleSleepTimer', () => {});
+      api.route('GET', '/albums/5n1GSzC1Reao29ScnpLYqp/tracks', {
+        status: 200,
+        body: { total: 10, items: [{ uri: 'spotify:track:2S2Kt2gfzdSq5zDaHfXbHN' }] },
+      });
+
+      await device.startSleepTimer('context');
+
+      assert.equal(device.getStoreValue('sleepTimer').lastTrackUri, 'spotify:track:2S2Kt2gfzdSq5zDaHfXbHN');
+    });
+
+    for (const [name, uri] of [['an artist', 'spotify:artist:0OdUWJ0sBjDrqHygGUXeCF'], ['liked songs', 'spotify:user:alice:collection']]) {
+      it(`refuses to wait for the end of ${name}`, async () => {
+        const state = fixture('player-track');
+        state.context = { ...state.context, uri };
+        api.route('GET', '/me/player', { status: 200, body: state });
+        await device.oAuth2Client.poller.refresh();
+
+        await assert.rejects(device.startSleepTimer('context'), { message: runtime.homey.__('errors.no_context') });
+        assert.equal(device.getStoreValue('sleepTimer'), undefined);
+      });
+    }
+  });
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./support/homey');
+const { MockSpotifyApi, createClient, error } = require('./support/spotify-api');
+const { NoActiveDeviceError, PremiumRequiredError, RadioUnavailableError } = require('../lib/SpotifyApiErrors');
+
+const DEVICE_ID = '4d9a1c0e2b7f';
+const TRACK_URI = 'spotify:track:4uLU6hMCjMI75M1A2tKUQC';
+
+describe('SpotifyConnectOAuth2Client', () => {
+  const api = new MockSpotifyApi();
+  let client;
+
+  before(() => api.start());
+  after(() => api.stop());
+
+  beforeEach(async () => {
+    api.reset();
+    client = await createClient({ homey: createHomey().homey, api });
+  });
+
+  describe('addToQueueAndSkip', () => {
+    it('queues the track and skips to it', async () => {
+      api
+        .route('POST', '/me/player/queue', { status: 204 })
+        .route('POST', '/me/player/next', { status: 204 });
+
+      await client.addToQueueAndSkip(DEVICE_ID, TRACK_URI);
+
+      const [queued] = api.requestsTo('POST', '/me/player/queue');
+      assert.deepEqual(queued.query, { uri: TRACK_URI, device_id: DEVICE_ID });
+      assert.deepEqual(api.requestsTo('POST', '/me/player/next')[0].body, { device_id: DEVICE_ID });
+      assert.equal(api.requestsTo('PUT', '/me/player/play').length, 0);
+    });
+
+    it('plays the track directly when nothing is playing', async () => {
+      api
+        .route('POST', '/me/player/queue', error(404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE'))
+        .route('PUT', '/me/player/play', { status: 204 });
+
+      await client.addToQueueAndSkip(DEVICE_ID, TRACK_URI);
+
+      const [played] = api.requestsTo('PUT', '/me/player/play');
+      assert.deepEqual(played.query, { device_id: DEVICE_ID });
+      assert.deepEqual(played.body, { uris: [TRACK_URI] });
+      assert.equal(api.requestsTo('POST', '/me/player/next').length, 0);
+    });
+
+    it('recognizes a 404 without a reason by its message', async () => {
+      api
+        .route('POST', '/me/player/queue', error(404, 'No active device found'))
+        .route('PUT', '/me/player/play', { status: 204 });
+
+      await client.addToQueueAndSkip(DEVICE_ID, TRACK_URI);
+
+      assert.equal(api.requestsTo('PUT', '/me/player/play').length, 1);
+    });
+
+    it('passes on other errors without playing', async () => {
+      api.route('POST', '/me/player/queue', error(403, 'Player command failed: Premium required', 'PREMIUM_REQUIRED'));
+
+      await assert.rejects(client.addToQueueAndSkip(DEVICE_ID, TRACK_URI), PremiumRequiredError);
+      assert.equal(api.requestsTo('PUT', '/me/player/play').length, 0);
+    });
+
+    it('does not retry a failed queue request', async () => {
+      api.route('POST', '/me/player/queue', error(404, 'Not found'));
+
+      await assert.rejects(client.addToQueueAndSkip(DEVICE_ID, TRACK_URI), err => !(err instanceof NoActiveDeviceError) && err.status === 404);
+      assert.equal(api.requestsTo('POST', '/me/player/queue').length, 1);
+    });
+  });
+
+  describe('repeat', () => {
+    for (const [mode, state] of [['none', 'off'], ['track', 'track'], ['playlist', 'context']]) {
+      it(`sends "${state}" for the "${mode}" repeat mode`, async () => {
+        api.route('PUT', '/me/player/repeat', { status: 204 });
+
+        await client.repeat(DEVICE_ID, mode);
+
+        assert.deepEqual(api.requestsTo('PUT', '/me/player/repeat')[0].query, { device_id: DEVICE_ID, state });
+      });
+    }
+  });
+
+  describe('search', () => {
+    beforeEach(() => {
+      api
+        .route('GET', '/me', 'me')
+        .route('GET', '/search', 'search-all');
+    });
+
+    it('answers the same search from the cache', async () => {
+      await client.search('funeral', 'track');
+      await client.search('Funeral ', 'track');
+
+      assert.equal(api.requestsTo('GET', '/search').length, 1);
+    });
+
+    it('replaces a pending search of the same caller', async () => {
+      const first = client.search('fun', 'track', 10, 0, { debounceKey: 'play_song:song' });
+      const second = client.search('funeral', 'track', 10, 0, { debounceKey: 'play_song:song' });
+
+      assert.equal(await first, null);
+      assert.notEqual(await second, null);
+      assert.deepEqual(api.requestsTo('GET', '/search').map(request => request.query.q), ['funeral']);
+    });
+
+    it('keeps overlapping searches of different callers', async () => {
+      const [song, track] = await Promise.all([
+        client.search('funeral', 'track', 10, 0, { debounceKey: 'play_song:song' }),
+        client.search('funeral', 'track', 10, 0, { debounceKey: 'current_track_is:song' }),
+      ]);
+
+      assert.notEqual(song, null);
+      assert.notEqual(track, null);
+      assert.equal(api.requestsTo('GET', '/search').length, 1);
+    });
+  });
+
+  describe('getCachedPlaylists', () => {
+    const playlists = {
+      status: 200,
+      body: {
+        items: [{ id: '37i9dQZF1DXcBWIGoYBM5M', name: 'Today\'s Top Hits', tracks: { total: 50 } }],
+        next: null,
+      },
+    };
+
+    beforeEach(() => {
+      api.route('GET', '/me/playlists', playlists);
+    });
+
+    it('fetches the playlists once for a minute', async (t) => {
+      const now = Date.now();
+      t.mock.method(Date, 'now', () => now);
+
+      await client.getCachedPlaylists();
+      await client.getCachedPlaylists();
+
+      assert.equal(api.requestsTo('GET', '/me/playlists').length, 1);
+
+      Date.now.mock.mockImplementation(() => now + 60 * 1000);
+      const [playlist] = await client.getCachedPlaylists();
+
+      assert.equal(playlist.name, 'Today\'s Top Hits');
+      assert.equal(api.requestsTo('GET', '/me/playlists').length, 2);
+    });
+
+    it('fetches again after a failed request', async () => {
+      api.route('GET', '/me/playlists', error(403, 'Insufficient client scope'));
+      await assert.rejects(client.getCachedPlaylists());
+
+      api.route('GET', '/me/playlists', playlists);
+      assert.equal((await client.getCachedPlaylists()).length, 1);
+    });
+
+    it('fetches again after adding to a playlist', async () => {
+      api.route('POST', '/playlists/37i9dQZF1DXcBWIGoYBM5M/tracks', { status: 201, body: { snapshot_id: 'abc' } });
+
+      await client.getCachedPlaylists();
+      await client.addToPlaylist('37i9dQZF1DXcBWIGoYBM5M', [TRACK_URI]);
+      await client.getCachedPlaylists();
+
+      assert.equal(api.requestsTo('GET', '/me/playlists').length, 2);
+    });
+  });
+
+  describe('getRecommendations', () => {
+    it('explains that newer Spotify apps have no recommendations', async () => {
+      api.route('GET', '/recommendations', error(404, 'Not Found'));
+
+      await assert.rejects(client.getRecommendations({ seed_tracks: '4uLU6hMCjMI75M1A2tKUQC' }), RadioUnavailableError);
+      assert.equal(api.requestsTo('GET', '/recommendations').length, 1);
+    });
+  });
+
+  describe('state', () => {
+    it('asks for episodes as well as tracks', async () => {
+      api.route('GET', '/me/player', 'player-track');
+
+      const state = await client.state();
+
+      assert.equal(state.item.uri, TRACK_URI);
+      assert.equal(api.requestsTo('GET', '/me/player')[0].query.additional_types, 'track,episode');
+    });
+
+    it('resolves to nothing when Spotify has no playback', async () => {
+      api.route('GET', '/me/player', { status: 204 });
+
+      assert.equal(await client.state(), undefined);
+    });
+  });
+});
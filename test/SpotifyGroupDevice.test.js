@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey, createDevice, flushPromises } = require('./support/homey');
+const { MockSpotifyApi, createClient, fixture } = require('./support/spotify-api');
+const SpotifyConnectDevice = require('../drivers/spotify-connect/device');
+const SpotifyGroupDevice = require('../drivers/spotify-connect/group');
+
+const LIVING_ROOM_ID = '4d9a1c0e2b7f';
+const KITCHEN_ID = '8e21f6b3c5d0';
+
+// Waits for a poll and for every subscriber to process it
+async function poll(client) {
+  await client.poller.refresh();
+  await flushPromises();
+}
+
+describe('SpotifyGroupDevice', () => {
+  const api = new MockSpotifyApi();
+  let client;
+  let kitchen;
+  let livingRoom;
+  let group;
+
+  before(() => api.start());
+  after(() => api.stop());
+
+  beforeEach(async () => {
+    api.reset();
+    api
+      .route('GET', '/me/player/devices', 'devices')
+      .route('GET', '/me/player', 'player-track');
+
+    const runtime = createHomey();
+    client = await createClient({ homey: runtime.homey, api });
+
+    kitchen = await createDevice(SpotifyConnectDevice, {
+      ...runtime, client, name: 'Kitchen', data: { id: KITCHEN_ID },
+    });
+    livingRoom = await createDevice(SpotifyConnectDevice, {
+      ...runtime, client, name: 'Living room', data: { id: LIVING_ROOM_ID },
+    });
+
+    runtime.homey.app.getSpeakerGroup = () => ({ members: [kitchen.__id, livingRoom.__id] });
+
+    group = await createDevice(SpotifyGroupDevice, {
+      ...runtime, client, name: 'Downstairs', data: { id: 'group:downstairs', groupId: 'downstairs' },
+    });
+
+    await poll(client);
+  });
+
+  afterEach(() => {
+    [kitchen, livingRoom, group].forEach(device => client.poller.unsubscribe(device));
+  });
+
+  it('mirrors the active member', async () => {
+    assert.equal(group.member, livingRoom);
+    assert.equal(group.getCapabilityValue('speaker_playing'), true);
+    assert.equal(group.getCapabilityValue('speaker_track'), 'The Funeral');
+  });
+
+  it('mirrors from the polled state without requests of its own', async (t) => {
+    const getPlaybackState = t.mock.method(SpotifyConnectDevice.prototype, 'getPlaybackState');
+    api.requests = [];
+
+    await poll(client);
+
+    assert.equal(getPlaybackState.mock.callCount(), 0);
+    assert.equal(api.requestsTo('GET', '/me/player').length, 1);
+  });
+
+  it('follows playback to another member', async () => {
+    const { devices } = fixture('devices');
+    devices.forEach((device) => { device.is_active = device.id === KITCHEN_ID; });
+    api.route('GET', '/me/player/devices', { status: 200, body: { devices } });
+
+    await poll(client);
+
+    assert.equal(group.member, kitchen);
+    assert.equal(group.getCapabilityValue('speaker_track'), 'The Funeral');
+  });
+
+  it('falls back to the first member while none is active', async () => {
+    const { devices } = fixture('devices');
+    devices.forEach((device) => { device.is_active = false; });
+    api
+      .route('GET', '/me/player/devices', { status: 200, body: { devices } })
+      .route('GET', '/me/player', { status: 204 });
+
+    await poll(client);
+
+    assert.equal(group.member, kitchen);
+  });
+});
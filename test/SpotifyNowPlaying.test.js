@@ -0,0 +1,112 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fixture } = require('./support/spotify-api');
+const { describeItem, fromPlayback } = require('../lib/SpotifyNowPlaying');
+
+const [activeDevice, otherDevice] = fixture('devices').devices;
+
+describe('SpotifyNowPlaying', () => {
+  describe('fromPlayback', () => {
+    it('describes a playing track', () => {
+      const nowPlaying = fromPlayback({ device: activeDevice, state: fixture('player-track'), fetchedAt: 1000 });
+
+      assert.deepEqual(nowPlaying, {
+        active: true,
+        idle: false,
+        playing: true,
+        type: 'track',
+        local: false,
+        shuffle: false,
+        repeat: 'playlist',
+        volume: 40,
+        trackUri: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC',
+        track: 'The Funeral',
+        artist: 'Band of Horses',
+        album: 'Everything All the Time',
+        image: 'https://i.scdn.co/image/ab67616d0000b273-640',
+        progressMs: 61000,
+        durationMs: 322000,
+        fetchedAt: 1000,
+      });
+    });
+
+    it('is idle without playback', () => {
+      const nowPlaying = fromPlayback({ device: activeDevice, state: null });
+
+      assert.equal(nowPlaying.active, true);
+      assert.equal(nowPlaying.idle, true);
+      assert.equal(nowPlaying.playing, false);
+      assert.equal(nowPlaying.type, null);
+      assert.equal(nowPlaying.trackUri, null);
+      assert.deepEqual([nowPlaying.track, nowPlaying.artist, nowPlaying.album, nowPlaying.image], ['', '', '', null]);
+    });
+
+    it('is idle, not playing, when playback has no item', () => {
+      const nowPlaying = fromPlayback({ device: activeDevice, state: fixture('player-no-item') });
+
+      assert.equal(nowPlaying.idle, true);
+      assert.equal(nowPlaying.playing, false);
+      assert.equal(nowPlaying.durationMs, 0);
+    });
+
+    it('keeps playing through an ad, without metadata', () => {
+      const nowPlaying = fromPlayback({ device: activeDevice, state: fixture('player-ad') });
+
+      assert.equal(nowPlaying.idle, false);
+      assert.equal(nowPlaying.playing, true);
+      assert.equal(nowPlaying.type, 'ad');
+      assert.equal(nowPlaying.track, '');
+      assert.equal(nowPlaying.image, null);
+      assert.equal(nowPlaying.progressMs, 0);
+    });
+
+    it('describes a local file without album art', () => {
+      const nowPlaying = fromPlayback({ device: activeDevice, state: fixture('player-local-file') });
+
+      assert.equal(nowPlaying.local, true);
+      assert.equal(nowPlaying.track, 'Demo 3 (final)');
+      assert.equal(nowPlaying.artist, 'The Garage Band');
+      assert.equal(nowPlaying.album, 'Demos');
+      assert.equal(nowPlaying.image, null);
+    });
+
+    it('ignores the playback of another device', () => {
+      const nowPlaying = fromPlayback({ device: otherDevice, state: fixture('player-track') });
+
+      assert.equal(nowPlaying.active, false);
+      assert.equal(nowPlaying.playing, false);
+      assert.equal(nowPlaying.volume, 25);
+      assert.equal(nowPlaying.track, '');
+    });
+  });
+
+  describe('describeItem', () => {
+    it('uses the show of a podcast episode', () => {
+      const described = describeItem({
+        type: 'episode',
+        name: 'Episode 12',
+        images: [],
+        show: { name: 'The Show', publisher: 'The Publisher', images: [{ url: 'https://i.scdn.co/image/show' }] },
+      });
+
+      assert.deepEqual(described, {
+        track: 'Episode 12',
+        artist: 'The Publisher',
+        album: 'The Show',
+        image: 'https://i.scdn.co/image/show',
+      });
+    });
+
+    it('copes with missing artists, album and images', () => {
+      assert.deepEqual(describeItem({ type: 'track', name: 'Untitled', artists: [null, { name: '' }] }), {
+        track: 'Untitled',
+        artist: '',
+        album: '',
+        image: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { createHomey } = require('./support/homey');
+const { fetch } = require('homey-oauth2app');
+const SpotifyZeroConfService = require('../lib/SpotifyZeroConfService');
+
+const USER_NAME = 'alice';
+const SPEAKER_ID = '8f2c6a1d0e9b4c7a';
+
+/*
+  The Spotify side of the ZeroConf exchange, written after librespot: what a
+  Spotify app sends to a speaker and how a speaker reads what it receives.
+*/
+function credentialsKey(deviceId, userName) {
+  const secret = crypto.createHash('sha1').update(deviceId).digest();
+  const derived = crypto.pbkdf2Sync(secret, userName, 0x100, 20, 'sha1');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(20);
+
+  return Buffer.concat([crypto.createHash('sha1').update(derived).digest(), length]);
+}
+
+function encryptCredentials(credentials, deviceId, userName) {
+  const data = Buffer.from(credentials);
+
+  for (let i = 16; i < data.length; i++) {
+    data[i] ^= data[i - 16];
+  }
+
+  const cipher = crypto.createCipheriv('aes-192-ecb', credentialsKey(deviceId, userName), null);
+  cipher.setAutoPadding(false);
+
+  return Buffer.concat([cipher.update(data), cipher.final()]).toString('base64');
+}
+
+function decryptCredentials(blob, deviceId, userName) {
+  const decipher = crypto.createDecipheriv('aes-192-ecb', credentialsKey(deviceId, userName), null);
+  decipher.setAutoPadding(false);
+  const data = Buffer.concat([decipher.update(Buffer.from(blob, 'base64')), decipher.final()]);
+
+  for (let i = data.length - 1; i >= 16; i--) {
+    data[i] ^= data[i - 16];
+  }
+
+  return data;
+}
+
+function blobKeys(dh, publicKey) {
+  let sharedKey = dh.computeSecret(Buffer.from(publicKey, 'base64'));
+
+  while (sharedKey.length > 1 && sharedKey[0] === 0) {
+    sharedKey = sharedKey.subarray(1);
+  }
+
+  const baseKey = crypto.createHash('sha1').update(sharedKey).digest().subarray(0, 16);
+
+  return {
+    checksumKey: crypto.createHmac('sha1', baseKey).update('checksum').digest(),
+    encryptionKey: crypto.createHmac('sha1', baseKey).update('encryption').digest().subarray(0, 16),
+  };
+}
+
+function encryptBlob(dh, publicKey, data) {
+  const { checksumKey, encryptionKey } = blobKeys(dh, publicKey);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-128-ctr', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  const checksum = crypto.createHmac('sha1', checksumKey).update(encrypted).digest();
+
+  return Buffer.concat([iv, encrypted, checksum]).toString('base64');
+}
+
+function decryptBlob(dh, publicKey, blob) {
+  const { checksumKey, encryptionKey } = blobKeys(dh, publicKey);
+  const data = Buffer.from(blob, 'base64');
+  const encrypted = data.subarray(16, data.length - 20);
+
+  assert.deepEqual(crypto.createHmac('sha1', checksumKey).update(encrypted).digest(), data.subarray(data.length - 20));
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', encryptionKey, data.subarray(0, 16));
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString();
+}
+
+function createKeys() {
+  const dh = crypto.getDiffieHellman('modp1');
+  dh.generateKeys();
+  return dh;
+}
+
+// A speaker on the LAN, answering getInfo and keeping the users it is sent
+class FakeSpeaker {
+
+  constructor({ activeUser = '' } = {}) {
+    this.dh = createKeys();
+    this.activeUser = activeUser;
+    this.users = [];
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+    return {
+      id: SPEAKER_ID, name: 'Kitchen', address: '127.0.0.1', port: this.server.address().port, path: '/zc',
+    };
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  _handle(req, res) {
+    let raw = '';
+
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (req.method === 'GET') {
+        res.end(JSON.stringify({
+          status: 101,
+          deviceID: SPEAKER_ID,
+          remoteName: 'Kitchen',
+          activeUser: this.activeUser,
+          publicKey: this.dh.getPublicKey('base64'),
+        }));
+        return;
+      }
+
+      const params = new URLSearchParams(raw);
+      const userName = params.get('userName');
+
+      this.users.push({
+        userName,
+        credentials: decryptCredentials(decryptBlob(this.dh, params.get('clientKey'), params.get('blob')), SPEAKER_ID, userName),
+      });
+      this.activeUser = userName;
+
+      res.end(JSON.stringify({ status: 101, spotifyError: 0, statusString: 'ERROR-OK' }));
+    });
+  }
+
+}
+
+describe('SpotifyZeroConfService', () => {
+  const credentials = crypto.randomBytes(64);
+  let homey;
+  let service;
+
+  beforeEach(() => {
+    ({ homey } = createHomey());
+    service = new SpotifyZeroConfService({ app: homey.app });
+    // Advertising is left to mDNS, these tests talk to the endpoints directly
+    service.bonjour = { publish: () => ({ stop: callback => callback() }) };
+  });
+
+  describe('pairing', () => {
+    let url;
+
+    beforeEach(async () => {
+      await service.startPairing();
+      url = `http://127.0.0.1:${service.pairing.server.address().port}/zc`;
+    });
+
+    afterEach(() => service.stopPairing());
+
+    async function addUser(blob, clientKey) {
+      return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          action: 'addUser', userName: USER_NAME, blob, clientKey,
+        }).toString(),
+      });
+    }
+
+    it('stores the credentials a Spotify app sends', async () => {
+      const info = await (await fetch(`${url}?action=getInfo`)).json();
+      const dh = createKeys();
+      const blob = encryptBlob(dh, info.publicKey, encryptCredentials(credentials, info.deviceID, USER_NAME));
+
+      const response = await addUser(blob, dh.getPublicKey('base64'));
+
+      assert.equal((await response.json()).status, 101);
+
+      const stored = service.getCredentials();
+      assert.equal(stored.userName, USER_NAME);
+      assert.equal(stored.deviceId, service.getDeviceId());
+      assert.deepEqual(decryptCredentials(stored.blob, stored.deviceId, USER_NAME), credentials);
+      assert.equal(service.getPairingStatus().pairing, false);
+    });
+
+    it('rejects a blob with an invalid checksum', async () => {
+      const info = await (await fetch(`${url}?action=getInfo`)).json();
+      const dh = createKeys();
+      const blob = Buffer.from(encryptBlob(dh, info.publicKey, 'credentials'), 'base64');
+      blob[blob.length - 1] ^= 1;
+
+      const response = await addUser(blob.toString('base64'), dh.getPublicKey('base64'));
+
+      assert.equal(response.status, 400);
+      assert.equal(service.getCredentials(), null);
+      assert.equal(service.getPairingStatus().pairing, true);
+    });
+  });
+
+  it('refuses to pair when discovery is unavailable', async () => {
+    service.bonjour = null;
+
+    await assert.rejects(service.startPairing(), { message: homey.__('errors.zeroconf_unavailable') });
+    assert.equal(service.pairing, null);
+  });
+
+  describe('wakeDevice', () => {
+    let speaker;
+
+    beforeEach(() => {
+      homey.settings.set('zeroconfCredentials', {
+        userName: USER_NAME,
+        blob: encryptCredentials(credentials, service.getDeviceId(), USER_NAME),
+        deviceId: service.getDeviceId(),
+      });
+    });
+
+    afterEach(() => speaker.stop());
+
+    it('sends the credentials encrypted for the speaker', async () => {
+      speaker = new FakeSpeaker();
+      service.discovered.set('kitchen', await speaker.start());
+
+      await service.wakeDevice('kitchen');
+
+      assert.equal(speaker.users.length, 1);
+      assert.equal(speaker.users[0].userName, USER_NAME);
+      assert.deepEqual(speaker.users[0].credentials, credentials);
+    });
+
+    it('leaves a speaker alone when the user is already logged in', async () => {
+      speaker = new FakeSpeaker({ activeUser: USER_NAME });
+      service.discovered.set('kitchen', await speaker.start());
+
+      await service.wakeDevice(SPEAKER_ID);
+
+      assert.equal(speaker.users.length, 0);
+    });
+  });
+});
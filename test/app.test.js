@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey, flushPromises } = require('./support/homey');
+const { MockSpotifyApi } = require('./support/spotify-api');
+const SpotifyApp = require('../app');
+const SpotifyConnectDevice = require('../drivers/spotify-connect/device');
+const SpotifyConnectOAuth2Client = require('../lib/SpotifyConnectOAuth2Client');
+const SpotifyZeroConfService = require('../lib/SpotifyZeroConfService');
+
+const DEVICE_ID = '4d9a1c0e2b7f';
+const SESSION_ID = 'alice';
+
+describe('SpotifyApp', () => {
+  const api = new MockSpotifyApi();
+  let homey;
+  let driver;
+  let app;
+
+  before(() => api.start());
+  after(() => api.stop());
+
+  beforeEach(async (t) => {
+    api.reset();
+    api
+      .route('GET', '/me/player/devices', 'devices')
+      .route('GET', '/me/player', 'player-track');
+
+    // Sessions are loaded from the settings, like after a restart of the app
+    ({ homey, driver } = createHomey({
+      settings: {
+        OAuth2Sessions: {
+          [SESSION_ID]: {
+            configId: 'default',
+            title: 'Alice',
+            token: {
+              access_token: 'saved-access-token',
+              refresh_token: 'saved-refresh-token',
+              token_type: 'Bearer',
+              scope: SpotifyConnectOAuth2Client.SCOPES.join(' '),
+            },
+          },
+        },
+      },
+    }));
+
+    // No mDNS in tests
+    t.mock.method(SpotifyZeroConfService.prototype, 'start', () => {});
+
+    app = new (class extends SpotifyApp {
+
+      setOAuth2Config(config) {
+        super.setOAuth2Config({ ...config, apiUrl: api.url });
+      }
+
+    })();
+    app.homey = homey;
+    homey.app = app;
+
+    await app.onInit();
+  });
+
+  afterEach(async () => {
+    driver.getDevices().forEach(device => device.oAuth2Client?.poller.unsubscribe(device));
+    await app.onUninit();
+  });
+
+  it('loads a saved session when a device inits on it', async () => {
+    const { capabilities } = require('../drivers/spotify-connect/driver.compose.json');
+    const device = new SpotifyConnectDevice({
+      homey,
+      driver,
+      capabilities,
+      name: 'Living room',
+      data: { id: DEVICE_ID },
+      store: { OAuth2SessionId: SESSION_ID, OAuth2ConfigId: 'default', spotifyName: 'Living room' },
+    });
+    driver.getDevices().push(device);
+
+    await device.onInit();
+    await device.oAuth2Client.poller.refresh();
+    await flushPromises();
+
+    assert.equal(device.oAuth2Client, app.getOAuth2Client({ sessionId: SESSION_ID }));
+    assert.equal(device.oAuth2Client.getToken().access_token, 'saved-access-token');
+    assert.equal(device.available, true);
+    assert.equal(api.requestsTo('GET', '/me/player')[0].headers.authorization, 'Bearer saved-access-token');
+  });
+
+  it('reuses the client of an account that signs in again', () => {
+    const client = app.getAccountClient(SESSION_ID);
+
+    assert.equal(app.createOAuth2Client({ sessionId: SESSION_ID }), client);
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./support/homey');
+const { Device } = require('./support/homey-sdk');
+const { MockSpotifyApi, createClient, fixture } = require('./support/spotify-api');
+const widget = require('../widgets/song-search/api');
+
+describe('song search widget', () => {
+  const api = new MockSpotifyApi();
+  let homey;
+  let deviceId;
+
+  before(() => api.start());
+  after(() => api.stop());
+
+  beforeEach(async () => {
+    api.reset();
+    api
+      .route('GET', '/me', 'me')
+      .route('GET', '/search', 'search-all');
+
+    const runtime = createHomey();
+    const client = await createClient({ homey: runtime.homey, api });
+
+    // Searching only needs the client of the device
+    const device = new Device({ ...runtime, name: 'Living room', data: { id: 'living-room' } });
+    device.oAuth2Client = client;
+    runtime.devices.push(device);
+
+    homey = runtime.homey;
+    deviceId = device.__id;
+  });
+
+  function search(query, body = {}) {
+    return widget.search({ homey, body: { query, deviceId, ...body } });
+  }
+
+  it('merges all result types into one list, in a fixed order', async () => {
+    const { items } = await search('funeral');
+
+    assert.deepEqual(items.map(item => item.type), ['track', 'artist', 'album', 'playlist']);
+  });
+
+  it('maps every type to the same item shape', async () => {
+    const { items } = await search('funeral');
+
+    assert.deepEqual(items, [
+      {
+        type: 'track',
+        id: '4uLU6hMCjMI75M1A2tKUQC',
+        name: 'The Funeral',
+        subtitle: 'Band of Horses',
+        image: 'https://i.scdn.co/image/ab67616d0000b273-64',
+        uri: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC',
+      },
+      {
+        type: 'artist',
+        id: '0OdUWJ0sBjDrqHygGUXeCF',
+        name: 'Band of Horses',
+        subtitle: `${(1234567).toLocaleString()} followers`,
+        image: 'https://i.scdn.co/image/ab6761610000e5eb-64',
+        uri: 'spotify:artist:0OdUWJ0sBjDrqHygGUXeCF',
+      },
+      {
+        type: 'album',
+        id: '5n1GSzC1Reao29ScnpLYqp',
+        name: 'Everything All the Time',
+        subtitle: 'Band of Horses',
+        image: 'https://i.scdn.co/image/ab67616d0000b273-64',
+        uri: 'spotify:album:5n1GSzC1Reao29ScnpLYqp',
+      },
+      {
+        type: 'playlist',
+        id: '37i9dQZF1DX0XUsuxWHRQd',
+        name: 'Funeral Songs',
+        subtitle: '80 tracks',
+        image: 'https://i.scdn.co/image/ab67706f00000002',
+        uri: 'spotify:playlist:37i9dQZF1DX0XUsuxWHRQd',
+      },
+    ]);
+  });
+
+  it('leaves out unplayable tracks and missing playlists', async () => {
+    const { items } = await search('funeral');
+
+    assert.equal(items.some(item => item.name === 'Time to Pretend'), false);
+    assert.equal(items.filter(item => item.type === 'playlist').length, 1);
+  });
+
+  it('has more results when any type has a next page', async () => {
+    assert.equal((await search('funeral')).hasMore, true);
+
+    const results = fixture('search-all');
+    results.tracks.next = null;
+    api.route('GET', '/search', { status: 200, body: results });
+
+    assert.equal((await search('funeral', { offset: 10 })).hasMore, false);
+  });
+
+  it('searches in the market of the account', async () => {
+    await search('funeral', { type: 'track', offset: 10 });
+
+    const [request] = api.requestsTo('GET', '/search');
+    assert.equal(request.query.market, 'NL');
+    assert.equal(request.query.type, 'track');
+    assert.equal(request.query.offset, '10');
+  });
+
+  it('skips queries that are too short', async () => {
+    assert.deepEqual(await search('f'), []);
+    assert.equal(api.requestsTo('GET', '/search').length, 0);
+  });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/*
+  Stand-in for the `homey` module, which only exists inside the Homey runtime.
+  Devices keep their data, store and capability values in memory.
+*/
+class SimpleClass extends EventEmitter {
+
+  log() {}
+
+  error() {}
+
+}
+
+class App extends SimpleClass {}
+
+class Driver extends SimpleClass {}
+
+class Device extends SimpleClass {
+
+  constructor({
+    homey, driver, name = 'Speaker', data = {}, store = {}, capabilities = [],
+  } = {}) {
+    super();
+
+    this.homey = homey;
+    this.driver = driver;
+    this.__id = `homey-device-${data.id || name}`;
+    this._name = name;
+    this._data = data;
+    this._store = { ...store };
+    this._capabilityValues = Object.fromEntries(capabilities.map(capabilityId => [capabilityId, null]));
+    this._capabilityListeners = {};
+    this.available = true;
+    this.unavailableMessage = null;
+    this.warning = null;
+    this.errors = [];
+
+    // Mirrors the instance methods Homey binds, so they can be passed as callbacks
+    this.log = this.log.bind(this);
+    this.error = this.error.bind(this);
+  }
+
+  error(...args) {
+    this.errors.push(args);
+  }
+
+  getName() {
+    return this._name;
+  }
+
+  getData() {
+    return this._data;
+  }
+
+  getStore() {
+    return this._store;
+  }
+
+  getStoreValue(key) {
+    return this._store[key];
+  }
+
+  async setStoreValue(key, value) {
+    this._store[key] = value;
+  }
+
+  async unsetStoreValue(key) {
+    delete this._store[key];
+  }
+
+  getCapabilities() {
+    return Object.keys(this._capabilityValues);
+  }
+
+  hasCapability(capabilityId) {
+    return capabilityId in this._capabilityValues;
+  }
+
+  async addCapability(capabilityId) {
+    this._capabilityValues[capabilityId] = null;
+  }
+
+  getCapabilityValue(capabilityId) {
+    return this._capabilityValues[capabilityId];
+  }
+
+  async setCapabilityValue(capabilityId, value) {
+    if (!this.hasCapability(capabilityId)) {
+      throw new Error(`Missing capability: ${capabilityId}`);
+    }
+
+    this._capabilityValues[capabilityId] = value;
+  }
+
+  registerCapabilityListener(capabilityId, listener) {
+    this._capabilityListeners[capabilityId] = listener;
+  }
+
+  async triggerCapabilityListener(capabilityId, value) {
+    await this._capabilityListeners[capabilityId](value, {});
+    this._capabilityValues[capabilityId] = value;
+  }
+
+  async setAvailable() {
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  async setUnavailable(message = null) {
+    this.available = false;
+    this.unavailableMessage = message;
+  }
+
+  async setWarning(message) {
+    this.warning = message;
+  }
+
+  async unsetWarning() {
+    this.warning = null;
+  }
+
+  async setAlbumArtImage(image) {
+    this.albumArtImage = image;
+  }
+
+}
+
+module.exports = {
+  App,
+  Driver,
+  Device,
+  SimpleClass,
+  env: {},
+  manifest: {
+    drivers: [{ id: 'spotify-connect' }],
+  },
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const Module = require('module');
+const path = require('path');
+
+const en = require('../../locales/en.json');
+
+// The `homey` module is provided by the Homey runtime, point requires to the stand-in
+const SDK_PATH = path.join(__dirname, 'homey-sdk.js');
+const resolveFilename = Module._resolveFilename;
+
+Module._resolveFilename = function resolveHomey(request, ...args) {
+  if (request === 'homey') {
+    return SDK_PATH;
+  }
+
+  return resolveFilename.call(this, request, ...args);
+};
+
+function translate(key, tokens = {}) {
+  const text = key.split('.').reduce((strings, part) => strings?.[part], en);
+
+  if (typeof text !== 'string') {
+    return key;
+  }
+
+  return Object.keys(tokens).reduce((result, token) => result.replace(`__${token}__`, tokens[token]), text);
+}
+
+/*
+  A minimal `this.homey` with in-memory settings, recorded flow triggers and
+  the English translations, enough to run devices, clients and widget endpoints.
+*/
+function createHomey({ settings = {} } = {}) {
+  const values = { ...settings };
+  const devices = [];
+  const triggers = [];
+  const cards = {};
+
+  function getCard(cardId) {
+    if (!cards[cardId]) {
+      cards[cardId] = {
+        registerRunListener(listener) {
+          this.runListener = listener;
+          return this;
+        },
+        registerArgumentAutocompleteListener(argumentId, listener) {
+          this.autocompleteListeners = { ...this.autocompleteListeners, [argumentId]: listener };
+          return this;
+        },
+        async trigger(device, tokens) {
+          triggers.push({ cardId, device, tokens });
+        },
+      };
+    }
+
+    return cards[cardId];
+  }
+
+  const driver = {
+    id: 'spotify-connect',
+    getDevices: () => devices,
+    ready: async () => {},
+  };
+
+  const homey = {
+    __: translate,
+    settings: {
+      get: key => (key in values ? values[key] : null),
+      set: (key, value) => { values[key] = value; },
+      unset: (key) => { delete values[key]; },
+      on() {},
+    },
+    flow: {
+      triggers,
+      getActionCard: getCard,
+      getConditionCard: getCard,
+      getDeviceTriggerCard: getCard,
+    },
+    images: {
+      async createImage() {
+        return {
+          url: null,
+          setUrl(url) { this.url = url; this.path = null; },
+          setPath(path) { this.path = path; this.url = null; },
+          async update() {},
+        };
+      },
+    },
+    drivers: {
+      getDriver: () => driver,
+    },
+  };
+
+  homey.app = {
+    homey,
+    log() {},
+    error() {},
+  };
+
+  return { homey, driver, devices };
+}
+
+/*
+  Creates a device the way Homey would, with the capabilities of the driver
+  manifest, and runs its init against the given client.
+*/
+async function createDevice(DeviceClass, {
+  homey, driver, client, ...options
+}) {
+  const { capabilities } = require('../../drivers/spotify-connect/driver.compose.json');
+  const device = new DeviceClass({
+    homey, driver, capabilities, ...options,
+  });
+
+  device.oAuth2Client = client;
+  driver.getDevices().push(device);
+
+  await device.onOAuth2Init();
+
+  return device;
+}
+
+// Lets promise chains that were started without being awaited run to completion
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+  createHomey,
+  createDevice,
+  flushPromises,
+  translate,
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+require('./homey');
+
+const SpotifyConnectOAuth2Client = require('../../lib/SpotifyConnectOAuth2Client');
+const SpotifyOAuth2Token = require('../../lib/SpotifyOAuth2Token');
+const SpotifySearchCache = require('../../lib/SpotifySearchCache');
+
+const FIXTURES_PATH = path.join(__dirname, '..', 'fixtures');
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_PATH, `${name}.json`), 'utf8'));
+}
+
+function error(status, message, reason) {
+  return {
+    status,
+    body: { error: { status, message, ...(reason ? { reason } : {}) } },
+  };
+}
+
+/*
+  Local stand-in for the Spotify Web API. Routes answer with fixtures or
+  handlers, every request is recorded so tests can assert what was sent.
+*/
+class MockSpotifyApi {
+
+  constructor() {
+    this.routes = new Map();
+    this.requests = [];
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+    this.url = `http://127.0.0.1:${this.server.address().port}/v1`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  reset() {
+    this.routes.clear();
+    this.requests = [];
+  }
+
+  // A response is { status, body }, a fixture name or a function of the request returning either
+  route(method, pathname, response) {
+    this.routes.set(`${method} ${pathname}`, response);
+    return this;
+  }
+
+  requestsTo(method, pathname) {
+    return this.requests.filter(request => request.method === method && request.path === pathname);
+  }
+
+  _handle(req, res) {
+    let raw = '';
+
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const request = {
+        method: req.method,
+        path: url.pathname.replace(/^\/v1/, ''),
+        query: Object.fromEntries(url.searchParams),
+        body: raw ? JSON.parse(raw) : null,
+        headers: req.headers,
+      };
+
+      this.requests.push(request);
+
+      let response = this.routes.get(`${request.method} ${request.path}`);
+
+      if (typeof response === 'function') {
+        response = response(request);
+      }
+
+      if (typeof response === 'string') {
+        response = { status: 200, body: fixture(response) };
+      }
+
+      if (!response) {
+        response = error(404, `No mock for ${request.method} ${request.path}`);
+      }
+
+      // The Web API answers 204 without a body for commands and for /me/player without playback
+      if (response.status === 204 || response.body === undefined) {
+        res.writeHead(response.status || 204);
+        res.end();
+        return;
+      }
+
+      res.writeHead(response.status || 200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(response.body));
+    });
+  }
+
+}
+
+// A client for the mock API, signed in with every scope the app asks for
+async function createClient({ homey, api }) {
+  const client = new SpotifyConnectOAuth2Client({
+    homey,
+    token: SpotifyOAuth2Token,
+    apiUrl: api.url,
+    scopes: SpotifyConnectOAuth2Client.SCOPES,
+  });
+
+  client.setToken({
+    token: new SpotifyOAuth2Token({
+      access_token: 'mock-access-token',
+      refresh_token: 'mock-refresh-token',
+      token_type: 'Bearer',
+      scope: SpotifyConnectOAuth2Client.SCOPES.join(' '),
+    }),
+  });
+
+  // The app normally listens for these, an unhandled 'error' event would throw
+  client.errors = [];
+  client.on('error', (...args) => client.errors.push(args));
+
+  await client.init();
+
+  // Results of earlier tests must not answer searches of this one
+  client.searchCache = new SpotifySearchCache();
+
+  return client;
+}
+
+module.exports = {
+  MockSpotifyApi,
+  createClient,
+  fixture,
+  error,
+};
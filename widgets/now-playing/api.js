@@ -0,0 +1,60 @@
+'use strict';
+
+// Widget controls map onto the device capabilities, so they behave like the device tile
+const CONTROLS = {
+  playing: 'speaker_playing',
+  next: 'speaker_next',
+  previous: 'speaker_prev',
+  shuffle: 'speaker_shuffle',
+  repeat: 'speaker_repeat',
+  volume: 'volume_set',
+};
+
+function getDevice(homey, deviceId) {
+  if (!deviceId) {
+    throw new Error('No device configured');
+  }
+
+  const driver = homey.app.homey.drivers.getDriver('spotify-connect');
+  const device = driver.getDevices().find(d => d.__id === deviceId);
+
+  if (!device) {
+    throw new Error('Device not found');
+  }
+
+  return device;
+}
+
+module.exports = {
+  async state({ homey, query }) {
+    try {
+      const device = getDevice(homey, query.deviceId);
+
+      // Served from the last sync of the device, the widget refreshes too often to ask Spotify each time
+      return device.getNowPlaying();
+    } catch (error) {
+      homey.app.error(`Widget state error: ${error.message}`, error);
+      throw error;
+    }
+  },
+
+  async control({ homey, body }) {
+    try {
+      const { deviceId, action, value } = body;
+      const device = getDevice(homey, deviceId);
+      const capabilityId = CONTROLS[action];
+
+      if (!capabilityId) {
+        throw new Error(`Unknown action: ${action}`);
+      }
+
+      await device.triggerCapabilityListener(capabilityId, value);
+      device._sync();
+
+      return { success: true };
+    } catch (error) {
+      homey.app.error(`Widget control error: ${error.message}`, error);
+      throw error;
+    }
+  }
+};
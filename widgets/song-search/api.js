@@ -1,9 +1,98 @@
 'use strict';
 
+const RECENT_SEARCHES_KEY = 'widgetRecentSearches';
+const RECENT_SEARCHES_LIMIT = 8;
+
+function getDevice(homey, deviceId) {
+  if (!deviceId) {
+    throw new Error('No device configured');
+  }
+
+  const driver = homey.app.homey.drivers.getDriver('spotify-connect');
+  const device = driver.getDevices().find(d => d.__id === deviceId);
+
+  if (!device) {
+    throw new Error('Device not found');
+  }
+
+  return device;
+}
+
+function getClient(homey, device, accountId) {
+  // Without an account the widget uses the account the device was paired with
+  return accountId ? homey.app.getAccountClient(accountId) : device.oAuth2Client;
+}
+
+function toTrackItem(track) {
+  return {
+    type: 'track',
+    id: track.id,
+    name: track.name,
+    subtitle: track.artists.map(a => a.name).join(', '),
+    image: track.album.images[2]?.url || track.album.images[0]?.url,
+    uri: track.uri
+  };
+}
+
+function toArtistItem(artist) {
+  return {
+    type: 'artist',
+    id: artist.id,
+    name: artist.name,
+    subtitle: `${artist.followers?.total?.toLocaleString() || 0} followers`,
+    image: artist.images?.[2]?.url || artist.images?.[0]?.url,
+    uri: artist.uri
+  };
+}
+
+function toAlbumItem(album) {
+  return {
+    type: 'album',
+    id: album.id,
+    name: album.name,
+    subtitle: album.artists.map(a => a.name).join(', '),
+    image: album.images[2]?.url || album.images[0]?.url,
+    uri: album.uri
+  };
+}
+
+function toShowItem(show) {
+  return {
+    type: 'show',
+    id: show.id,
+    name: show.name,
+    subtitle: show.publisher,
+    image: show.images?.[2]?.url || show.images?.[0]?.url,
+    uri: show.uri
+  };
+}
+
+function toEpisodeItem(episode) {
+  // Episodes from search and show listings come without their show
+  const images = episode.images?.length ? episode.images : episode.show?.images || [];
+
+  return {
+    type: 'episode',
+    id: episode.id,
+    name: episode.name,
+    subtitle: episode.show?.name || episode.release_date || '',
+    image: images[2]?.url || images[0]?.url,
+    uri: episode.uri
+  };
+}
+
+function toQueueItem(item) {
+  return item.type === 'episode' ? toEpisodeItem(item) : toTrackItem(item);
+}
+
+function getRecentSearches(homey) {
+  return homey.settings.get(RECENT_SEARCHES_KEY) || {};
+}
+
 module.exports = {
   async search({ homey, body }) {
     try {
-      const { query: rawQuery, deviceId, offset: rawOffset, type: rawType } = body;
+      const { query: rawQuery, deviceId, accountId, offset: rawOffset, type: rawType, instanceId } = body;
       const query = typeof rawQuery === 'string' ? rawQuery.trim() : '';
       const offset = parseInt(rawOffset, 10) || 0;
       const type = typeof rawType === 'string' && rawType ? rawType : 'track,artist,album,playlist';
@@ -34,34 +123,32 @@ module.exports = {
       homey.app.log(`Using device: ${device.getName()}`);
 
       // Search all types at once
+      let client;
       let results;
       try {
-        results = await device.oAuth2Client.search(query, type, 10, offset);
+        client = getClient(homey, device, accountId);
+        // Typing in one widget replaces its own pending search, not those of other widgets
+        results = await client.search(query, type, 10, offset, { debounceKey: instanceId ? `song-search:${instanceId}` : null });
       } catch (err) {
         if (err.status === 400) {
           homey.app.log(`Widget search: Spotify rejected query="${query}" with 400`);
           return [];
         }
-        if (err.status === 403) {
-          homey.app.error(`Widget search: Spotify returned 403 Forbidden. The user may not be allowlisted in the Spotify Developer Dashboard (dev mode is limited to 5 users).`);
-          throw new Error('Spotify access denied. The app owner may need to allowlist your Spotify account in the Developer Dashboard.');
-        }
         throw err;
       }
 
+      // A newer search from this widget replaced this one
+      if (!results) {
+        return { items: [], hasMore: false };
+      }
+
       const items = [];
       let hasMore = false;
 
       // Add tracks
       if (results.tracks?.items) {
-        results.tracks.items.forEach(track => {
-          items.push({
-            type: 'track',
-            name: track.name,
-            subtitle: track.artists.map(a => a.name).join(', '),
-            image: track.album.images[2]?.url || track.album.images[0]?.url,
-            uri: track.uri
-          });
+        client.filterPlayable(results.tracks.items).forEach(track => {
+          items.push(toTrackItem(track));
         });
         if (results.tracks.next) hasMore = true;
       }
@@ -69,13 +156,7 @@ module.exports = {
       // Add artists
       if (results.artists?.items) {
         results.artists.items.forEach(artist => {
-          items.push({
-            type: 'artist',
-            name: artist.name,
-            subtitle: `${artist.followers?.total?.toLocaleString() || 0} followers`,
-            image: artist.images[2]?.url || artist.images[0]?.url,
-            uri: artist.uri
-          });
+          items.push(toArtistItem(artist));
         });
         if (results.artists.next) hasMore = true;
       }
@@ -83,13 +164,7 @@ module.exports = {
       // Add albums
       if (results.albums?.items) {
         results.albums.items.forEach(album => {
-          items.push({
-            type: 'album',
-            name: album.name,
-            subtitle: album.artists.map(a => a.name).join(', '),
-            image: album.images[2]?.url || album.images[0]?.url,
-            uri: album.uri
-          });
+          items.push(toAlbumItem(album));
         });
         if (results.albums.next) hasMore = true;
       }
@@ -99,6 +174,7 @@ module.exports = {
         results.playlists.items.filter(p => p !== null).forEach(playlist => {
           items.push({
             type: 'playlist',
+            id: playlist.id,
             name: playlist.name,
             subtitle: `${playlist.tracks?.total || 0} tracks`,
             image: playlist.images?.[0]?.url,
@@ -108,6 +184,22 @@ module.exports = {
         if (results.playlists.next) hasMore = true;
       }
 
+      // Add shows
+      if (results.shows?.items) {
+        results.shows.items.filter(show => show !== null).forEach(show => {
+          items.push(toShowItem(show));
+        });
+        if (results.shows.next) hasMore = true;
+      }
+
+      // Add episodes
+      if (results.episodes?.items) {
+        client.filterPlayable(results.episodes.items).forEach(episode => {
+          items.push(toEpisodeItem(episode));
+        });
+        if (results.episodes.next) hasMore = true;
+      }
+
       return { items, hasMore };
     } catch (error) {
       homey.app.error(`Widget search error: ${error.message}`, error);
@@ -117,28 +209,20 @@ module.exports = {
 
   async play({ homey, body }) {
     try {
-      const { deviceId, uri, type } = body;
-
-      if (!deviceId) {
-        throw new Error('No device configured');
-      }
-
-      const driver = homey.app.homey.drivers.getDriver('spotify-connect');
-      const device = driver.getDevices().find(d => d.__id === deviceId);
+      const { deviceId, targetDeviceId, accountId, uri, type } = body;
 
-      if (!device) {
-        throw new Error('Device not found');
-      }
+      // Results can also be played on another paired speaker than the one of the widget
+      const device = getDevice(homey, targetDeviceId || deviceId);
 
-      // Use the Spotify device ID for the API call
-      const spotifyDeviceId = device.getData().id;
+      // Resolves the Spotify device ID as the selected account sees it, it follows re-matched and active devices
+      const { client, deviceId: spotifyDeviceId } = await device.getAccount(accountId);
 
-      // Tracks: add to queue and skip to play immediately (avoids single-track loop)
-      // Others: use playContext to start playing the artist/album/playlist
-      if (type === 'track') {
-        await device.oAuth2Client.addToQueueAndSkip(spotifyDeviceId, uri);
+      // Tracks and episodes: add to queue and skip to play immediately (avoids single-track loop)
+      // Others: use playContext to start playing the artist/album/playlist/show
+      if (type === 'track' || type === 'episode') {
+        await client.addToQueueAndSkip(spotifyDeviceId, uri);
       } else {
-        await device.oAuth2Client.playContext(spotifyDeviceId, uri);
+        await client.playContext(spotifyDeviceId, uri);
       }
 
       return { success: true };
@@ -146,5 +230,124 @@ module.exports = {
       homey.app.error(`Widget play error: ${error.message}`, error);
       throw error;
     }
+  },
+
+  async queue({ homey, query }) {
+    try {
+      const device = getDevice(homey, query.deviceId);
+      const queue = await getClient(homey, device, query.accountId).getQueue();
+
+      return {
+        current: queue?.currently_playing ? toQueueItem(queue.currently_playing) : null,
+        items: (queue?.queue || []).filter(Boolean).map(toQueueItem)
+      };
+    } catch (error) {
+      homey.app.error(`Widget queue error: ${error.message}`, error);
+      throw error;
+    }
+  },
+
+  async accounts({ homey }) {
+    return homey.app.getAccounts().map(({ id, name }) => ({ id, name }));
+  },
+
+  async enqueue({ homey, body }) {
+    try {
+      const { deviceId, accountId, uri } = body;
+      const device = getDevice(homey, deviceId);
+      const { client, deviceId: spotifyDeviceId } = await device.getAccount(accountId);
+
+      await client.addToQueue(spotifyDeviceId, uri);
+
+      return { success: true };
+    } catch (error) {
+      homey.app.error(`Widget enqueue error: ${error.message}`, error);
+      throw error;
+    }
+  },
+
+  async devices({ homey }) {
+    const driver = homey.app.homey.drivers.getDriver('spotify-connect');
+
+    return driver.getDevices().map(d => ({ id: d.__id, name: d.getName() }));
+  },
+
+  async album({ homey, query }) {
+    try {
+      const device = getDevice(homey, query.deviceId);
+      const client = getClient(homey, device, query.accountId);
+      const album = await client.getAlbum(query.id);
+
+      // Tracks of an album come without their album, which holds the cover
+      return {
+        album: toAlbumItem(album),
+        tracks: client.filterPlayable(album.tracks.items).map(track => toTrackItem({ ...track, album }))
+      };
+    } catch (error) {
+      homey.app.error(`Widget album error: ${error.message}`, error);
+      throw error;
+    }
+  },
+
+  async artist({ homey, query }) {
+    try {
+      const device = getDevice(homey, query.deviceId);
+      const client = getClient(homey, device, query.accountId);
+      const [artist, topTracks, albums] = await Promise.all([
+        client.getArtist(query.id),
+        client.getArtistTopTracks(query.id),
+        client.getArtistAlbums(query.id),
+      ]);
+
+      return {
+        artist: toArtistItem(artist),
+        tracks: client.filterPlayable(topTracks.tracks).map(toTrackItem),
+        albums: albums.items.map(toAlbumItem)
+      };
+    } catch (error) {
+      homey.app.error(`Widget artist error: ${error.message}`, error);
+      throw error;
+    }
+  },
+
+  async show({ homey, query }) {
+    try {
+      const device = getDevice(homey, query.deviceId);
+      const client = getClient(homey, device, query.accountId);
+      const [show, episodes] = await Promise.all([
+        client.getShow(query.id),
+        client.getShowEpisodes(query.id, 20),
+      ]);
+
+      return {
+        show: toShowItem(show),
+        episodes: client.filterPlayable(episodes.items).map(toEpisodeItem)
+      };
+    } catch (error) {
+      homey.app.error(`Widget show error: ${error.message}`, error);
+      throw error;
+    }
+  },
+
+  async recentSearches({ homey, query }) {
+    return getRecentSearches(homey)[query.instanceId] || [];
+  },
+
+  async addRecentSearch({ homey, body }) {
+    const { instanceId, query: rawQuery } = body;
+    const query = typeof rawQuery === 'string' ? rawQuery.trim() : '';
+
+    if (!instanceId || query.length < 2) {
+      return [];
+    }
+
+    // Kept per widget instance, so each dashboard remembers its own searches
+    const recentSearches = getRecentSearches(homey);
+    const queries = (recentSearches[instanceId] || []).filter(q => q.toLowerCase() !== query.toLowerCase());
+
+    recentSearches[instanceId] = [query, ...queries].slice(0, RECENT_SEARCHES_LIMIT);
+    homey.settings.set(RECENT_SEARCHES_KEY, recentSearches);
+
+    return recentSearches[instanceId];
   }
 };